@@ -0,0 +1,289 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const {
+    toPublicQuestion,
+    gradeQuizQuestion,
+    gradeQuizAttempt,
+    parseGiftQuiz,
+    writeGiftQuiz,
+    parseQtiQuiz,
+    writeQtiPackage
+} = require('./server');
+
+const single = { type: 'single', question_text: 'Capital of Ghana?', options: ['Kumasi', 'Accra', 'Tamale'], correct_answer_index: 1 };
+const multiple = { type: 'multiple', question_text: 'Primes?', options: ['2', '3', '4', '9'], correct_answer_indices: [0, 1] };
+const trueFalse = { type: 'true_false', question_text: 'The sky is blue.', correct_answer: true };
+const numeric = { type: 'numeric', question_text: '0.1 + 0.2?', correct_value: 0.3, tolerance: 0 };
+const shortText = { type: 'short_text', question_text: 'Capital of France?', accepted_answers: ['Paris'], case_sensitive: false };
+const matching = { type: 'matching', question_text: 'Match', pairs: [{ prompt: 'H2O', match: 'Water' }, { prompt: 'NaCl', match: 'Salt' }] };
+const ordering = { type: 'ordering', question_text: 'Oldest first', items: ['1990', '2000', '2010', '2020'] };
+
+describe('toPublicQuestion', () => {
+    test('removes the answer keys', () => {
+        const publicQuestion = toPublicQuestion(single);
+        assert.equal(publicQuestion.correct_answer_index, undefined);
+        assert.deepEqual(publicQuestion.options, single.options);
+    });
+
+    test('sorts matching options so they do not line up with their prompts', () => {
+        const publicQuestion = toPublicQuestion({ ...matching, pairs: [{ prompt: 'a', match: 'Zebra' }, { prompt: 'b', match: 'Ant' }] });
+        assert.deepEqual(publicQuestion.prompts, ['a', 'b']);
+        assert.deepEqual(publicQuestion.match_options, ['Ant', 'Zebra']);
+        assert.equal(publicQuestion.pairs, undefined);
+    });
+
+    test('shuffles ordering items instead of sorting them', () => {
+        // The right order is also the alphabetical one, so sorting would give the answer away every time
+        const orders = new Set();
+        for (let i = 0; i < 50; i++) {
+            const publicQuestion = toPublicQuestion(ordering);
+            assert.deepEqual([...publicQuestion.order_options].sort(), ordering.items);
+            assert.equal(publicQuestion.items, undefined);
+            orders.add(publicQuestion.order_options.join());
+        }
+        assert.ok(orders.size > 1);
+    });
+});
+
+describe('gradeQuizQuestion', () => {
+    test('gives no credit for a missing answer', () => {
+        assert.equal(gradeQuizQuestion(single, undefined), 0);
+        assert.equal(gradeQuizQuestion(numeric, null), 0);
+    });
+
+    test('marks single choice answers sent as numbers or strings', () => {
+        assert.equal(gradeQuizQuestion(single, 1), 1);
+        assert.equal(gradeQuizQuestion(single, '1'), 1);
+        assert.equal(gradeQuizQuestion(single, 0), 0);
+    });
+
+    test('treats a question without a type as single choice', () => {
+        const { type, ...untyped } = single;
+        assert.equal(gradeQuizQuestion(untyped, 1), 1);
+    });
+
+    test('lets wrong picks cancel right ones on multi-select questions', () => {
+        assert.equal(gradeQuizQuestion(multiple, [0, 1]), 1);
+        assert.equal(gradeQuizQuestion(multiple, [0]), 0.5);
+        assert.equal(gradeQuizQuestion(multiple, [0, 2]), 0);
+        assert.equal(gradeQuizQuestion(multiple, [0, 1, 2, 3]), 0);
+        assert.equal(gradeQuizQuestion(multiple, ['0', 0, '1']), 1);
+        assert.equal(gradeQuizQuestion(multiple, 'not a list'), 0);
+    });
+
+    test('accepts true/false answers as booleans or strings', () => {
+        assert.equal(gradeQuizQuestion(trueFalse, true), 1);
+        assert.equal(gradeQuizQuestion(trueFalse, 'true'), 1);
+        assert.equal(gradeQuizQuestion(trueFalse, 'false'), 0);
+        assert.equal(gradeQuizQuestion({ ...trueFalse, correct_answer: false }, false), 1);
+    });
+
+    test('compares numeric answers within the tolerance, absorbing floating point noise', () => {
+        assert.equal(gradeQuizQuestion(numeric, 0.1 + 0.2), 1);
+        assert.equal(gradeQuizQuestion(numeric, '0.3'), 1);
+        assert.equal(gradeQuizQuestion(numeric, 0.31), 0);
+        assert.equal(gradeQuizQuestion({ ...numeric, tolerance: 0.05 }, 0.35), 1);
+        assert.equal(gradeQuizQuestion({ ...numeric, tolerance: 0.05 }, 0.36), 0);
+        assert.equal(gradeQuizQuestion(numeric, 'abc'), 0);
+        assert.equal(gradeQuizQuestion(numeric, ''), 0);
+    });
+
+    test('compares short answers ignoring case and extra spaces unless the question is case sensitive', () => {
+        assert.equal(gradeQuizQuestion(shortText, '  paris '), 1);
+        assert.equal(gradeQuizQuestion({ ...shortText, accepted_answers: ['New  York'] }, 'new york'), 1);
+        assert.equal(gradeQuizQuestion({ ...shortText, case_sensitive: true }, 'paris'), 0);
+        assert.equal(gradeQuizQuestion({ ...shortText, case_sensitive: true }, 'Paris'), 1);
+        assert.equal(gradeQuizQuestion(shortText, 'Lyon'), 0);
+    });
+
+    test('gives partial credit for matching and ordering questions', () => {
+        assert.equal(gradeQuizQuestion(matching, ['Water', 'Salt']), 1);
+        assert.equal(gradeQuizQuestion(matching, ['Water', 'Water']), 0.5);
+        assert.equal(gradeQuizQuestion(matching, 'Water'), 0);
+        assert.equal(gradeQuizQuestion(ordering, ['1990', '2000', '2010', '2020']), 1);
+        assert.equal(gradeQuizQuestion(ordering, ['1990', '2000', '2020', '2010']), 0.5);
+        assert.equal(gradeQuizQuestion(ordering, ['2020', '2010', '2000', '1990']), 0);
+    });
+});
+
+describe('gradeQuizAttempt', () => {
+    test('scores the attempt as a percentage of the credit earned', () => {
+        const result = gradeQuizAttempt([single, multiple, ordering], [1, [0], ['1990', '2000', '2020', '2010']]);
+        assert.deepEqual(result.credits, [1, 0.5, 0.5]);
+        assert.equal(result.correctAnswers, 1);
+        assert.ok(Math.abs(result.score - 200 / 3) < 1e-9);
+    });
+
+    test('counts unanswered questions as wrong', () => {
+        assert.deepEqual(gradeQuizAttempt([single, trueFalse], [1]), { score: 50, correctAnswers: 1, credits: [1, 0] });
+    });
+
+    test('scores an empty quiz as 0', () => {
+        assert.deepEqual(gradeQuizAttempt([], []), { score: 0, correctAnswers: 0, credits: [] });
+    });
+});
+
+describe('parseGiftQuiz', () => {
+    test('reads every supported question type', () => {
+        const { questions, skipped } = parseGiftQuiz([
+            '// A comment line',
+            '$CATEGORY: Geography',
+            '',
+            '::Capital:: Capital of Ghana? {~Kumasi =Accra ~Tamale}',
+            '',
+            'Primes? {~%50%2 ~%50%3 ~%-100%4}',
+            '',
+            'The sky is blue. {T}',
+            '',
+            'Half of five? {#2.5:0.1}',
+            '',
+            'Between one and three? {#1..3}',
+            '',
+            'Capital of France? {=Paris =City of Light}',
+            '',
+            'Match the formulas. {=H2O -> Water =NaCl -> Salt}'
+        ].join('\n'));
+
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(questions.map(question => question.type), ['single', 'multiple', 'true_false', 'numeric', 'numeric', 'short_text', 'matching']);
+        assert.equal(questions[0].question_text, 'Capital of Ghana?');
+        assert.equal(questions[0].correct_answer_index, 1);
+        assert.deepEqual(questions[1].correct_answer_indices, [0, 1]);
+        assert.equal(questions[2].correct_answer, true);
+        assert.equal(questions[3].correct_value, 2.5);
+        assert.equal(questions[3].tolerance, 0.1);
+        assert.equal(questions[4].correct_value, 2);
+        assert.equal(questions[4].tolerance, 1);
+        assert.deepEqual(questions[5].accepted_answers, ['Paris', 'City of Light']);
+        assert.deepEqual(questions[6].pairs, [{ prompt: 'H2O', match: 'Water' }, { prompt: 'NaCl', match: 'Salt' }]);
+    });
+
+    test('keeps escaped special characters as text', () => {
+        const { questions } = parseGiftQuiz('What is 1 \\= 1 in \\{braces\\}? {=a\\=b ~c\\~d}');
+        assert.equal(questions[0].question_text, 'What is 1 = 1 in {braces}?');
+        assert.deepEqual(questions[0].options, ['a=b', 'c~d']);
+    });
+
+    test('turns text after the answer block into a missing word question', () => {
+        const { questions } = parseGiftQuiz('Accra is the capital of {=Ghana ~Togo} in West Africa.');
+        assert.equal(questions[0].question_text, 'Accra is the capital of _____ in West Africa.');
+    });
+
+    test('reads answer feedback and general feedback as explanations', () => {
+        const { questions } = parseGiftQuiz('Pick one {=Right #Well done ~Wrong #Not quite ####Because.}');
+        assert.deepEqual(questions[0].option_explanations, ['Well done', 'Not quite']);
+        assert.equal(questions[0].explanation, 'Because.');
+    });
+
+    test('skips questions it cannot mark, saying why', () => {
+        const { questions, skipped } = parseGiftQuiz([
+            '::Essay:: Tell us about yourself. {}',
+            '',
+            'No answers here',
+            '',
+            'Two right answers {=a =b ~c}',
+            '',
+            'Fine {T}'
+        ].join('\n'));
+        assert.equal(questions.length, 1);
+        assert.deepEqual(skipped.map(({ number, title }) => [number, title]), [[1, 'Essay'], [2, 'Question 2'], [3, 'Question 3']]);
+        assert.equal(skipped[0].reason, 'Essay questions cannot be marked automatically.');
+    });
+
+    test('reads back what writeGiftQuiz writes, apart from ordering questions', () => {
+        const original = [single, multiple, trueFalse, { ...numeric, tolerance: 0.01 }, shortText, matching, ordering];
+        const { text, skipped: notWritten } = writeGiftQuiz(original, 'Round trip');
+        assert.deepEqual(notWritten.map(question => question.number), [7]);
+
+        const { questions, skipped } = parseGiftQuiz(text);
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(questions.map(question => question.type), original.slice(0, 6).map(question => question.type));
+        assert.equal(questions[0].correct_answer_index, single.correct_answer_index);
+        assert.deepEqual(questions[1].correct_answer_indices, multiple.correct_answer_indices);
+        assert.equal(questions[3].tolerance, 0.01);
+        assert.deepEqual(questions[5].pairs, matching.pairs);
+    });
+});
+
+describe('parseQtiQuiz', () => {
+    const choiceItem = (identifier, correct) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="${identifier}" title="${identifier}">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${correct}</value></correctResponse>
+  </responseDeclaration>
+  <itemBody>
+    <p>Capital of Ghana?</p>
+    <choiceInteraction responseIdentifier="RESPONSE" maxChoices="1">
+      <simpleChoice identifier="A">Kumasi</simpleChoice>
+      <simpleChoice identifier="B">Accra</simpleChoice>
+    </choiceInteraction>
+  </itemBody>
+</assessmentItem>`;
+
+    test('reads a single item file', async () => {
+        const { questions, skipped } = await parseQtiQuiz(Buffer.from(choiceItem('item-1', 'B')));
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(questions, [{ type: 'single', question_text: 'Capital of Ghana?', options: ['Kumasi', 'Accra'], correct_answer_index: 1 }]);
+    });
+
+    test('reads a numeric text entry with its tolerance', async () => {
+        const xml = `<assessmentItem identifier="n" title="n">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>9.81</value></correctResponse>
+  </responseDeclaration>
+  <itemBody><p>g in m/s2? <textEntryInteraction responseIdentifier="RESPONSE"/></p></itemBody>
+  <responseProcessing><responseCondition><responseIf>
+    <equal toleranceMode="absolute" tolerance="0.05 0.05"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+  </responseIf></responseCondition></responseProcessing>
+</assessmentItem>`;
+        const { questions } = await parseQtiQuiz(Buffer.from(xml));
+        assert.equal(questions[0].type, 'numeric');
+        assert.equal(questions[0].correct_value, 9.81);
+        assert.equal(questions[0].tolerance, 0.05);
+    });
+
+    test('skips items it cannot convert, saying why', async () => {
+        const xml = `<assessmentItem identifier="e" title="Essay">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+  <itemBody><extendedTextInteraction responseIdentifier="RESPONSE"/></itemBody>
+</assessmentItem>`;
+        const { questions, skipped } = await parseQtiQuiz(Buffer.from(xml));
+        assert.deepEqual(questions, []);
+        assert.deepEqual(skipped, [{ number: 1, title: 'Essay', reason: 'extendedTextInteraction is not supported.' }]);
+    });
+
+    test('reads back the package writeQtiPackage writes, in manifest order', async () => {
+        const original = [single, multiple, trueFalse, numeric, shortText, matching, ordering];
+        const { buffer, skipped: notWritten } = await writeQtiPackage(original, 'Round trip');
+        assert.deepEqual(notWritten, []);
+
+        const { questions, skipped } = await parseQtiQuiz(buffer);
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(questions.map(question => question.type), original.map(question => question.type));
+        assert.equal(questions[0].correct_answer_index, single.correct_answer_index);
+        assert.deepEqual(questions[1].correct_answer_indices, multiple.correct_answer_indices);
+        assert.deepEqual(questions[5].pairs, matching.pairs);
+        assert.deepEqual(questions[6].items, ordering.items);
+    });
+
+    // A few kilobytes of zip that inflate to more than one item file may be
+    const zipBomb = async () => {
+        const zip = new JSZip();
+        zip.file('item.xml', `<assessmentItem identifier="big" title="big">${' '.repeat(6 * 1024 * 1024)}</assessmentItem>`);
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    };
+
+    test('refuses a package whose files are declared too large before inflating them', async () => {
+        await assert.rejects(parseQtiQuiz(await zipBomb()), { message: 'The package is too large once unzipped.' });
+    });
+
+    test('stops inflating a file that grows past the limit when the zip understates its size', async () => {
+        const buffer = await zipBomb();
+        for (let i = 0; i < buffer.length - 4; i++) {
+            if (buffer.readUInt32LE(i) === 0x04034b50) buffer.writeUInt32LE(100, i + 22); // local file header
+            if (buffer.readUInt32LE(i) === 0x02014b50) buffer.writeUInt32LE(100, i + 24); // central directory entry
+        }
+        await assert.rejects(parseQtiQuiz(buffer), { message: 'item.xml is too large once unzipped.' });
+    });
+});
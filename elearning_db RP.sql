@@ -30,11 +30,27 @@ SET time_zone = "+00:00";
 CREATE TABLE `content` (
   `id` int(11) NOT NULL,
   `module_id` int(11) NOT NULL,
+  `section_id` int(11) DEFAULT NULL,
+  `position` int(11) NOT NULL DEFAULT 0,
   `title` varchar(255) NOT NULL,
   `content_type` enum('Notes','Videos','Quizzes','Assignments') NOT NULL,
   `content_text` text DEFAULT NULL,
   `file_path` varchar(255) DEFAULT NULL,
   `quiz_data` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_data`)),
+  `quiz_draw_rules` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_draw_rules`)),
+  `shuffle_questions` tinyint(1) NOT NULL DEFAULT 0,
+  `shuffle_options` tinyint(1) NOT NULL DEFAULT 0,
+  `reveal_answers` enum('never','after_submission','after_date') NOT NULL DEFAULT 'never',
+  `reveal_answers_at` timestamp NULL DEFAULT NULL,
+  `pass_mark` decimal(5,2) DEFAULT NULL,
+  `max_attempts` int(11) DEFAULT NULL,
+  `attempt_cooldown_minutes` int(11) NOT NULL DEFAULT 0,
+  `attempt_scoring` enum('best','latest','average') NOT NULL DEFAULT 'best',
+  `time_limit_minutes` int(11) DEFAULT NULL,
+  `due_date` timestamp NULL DEFAULT NULL,
+  `allow_late_submissions` tinyint(1) NOT NULL DEFAULT 1,
+  `max_score` decimal(6,2) DEFAULT NULL,
+  `rubric_id` int(11) DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
@@ -43,9 +59,9 @@ CREATE TABLE `content` (
 -- Dumping data for table `content`
 --
 
-INSERT INTO `content` (`id`, `module_id`, `title`, `content_type`, `content_text`, `file_path`, `quiz_data`, `created_at`, `updated_at`) VALUES
-(1, 2, 'BIG DATA', 'Videos', NULL, '/uploads/1749514917708-VID-20241006-WA0004.mp4', NULL, '2025-06-10 00:21:58', '2025-06-10 00:21:58'),
-(2, 2, 'QUIZ OF BIG DATA', 'Quizzes', NULL, NULL, '[{\"question_text\":\"1. What are the key characteristics of Big Data, often referred to as the 3 Vs?  \\n\",\"options\":[\"a) Volume, Value, Variety         \",\"b) Volume, Variety, Velocity\",\"c) Volume, Validity, Verification\",\" d) Value, Velocity, Vision \"],\"correct_answer_index\":1}]', '2025-06-10 00:26:50', '2025-06-10 00:26:50');
+INSERT INTO `content` (`id`, `module_id`, `section_id`, `position`, `title`, `content_type`, `content_text`, `file_path`, `quiz_data`, `created_at`, `updated_at`) VALUES
+(1, 2, 2, 1, 'BIG DATA', 'Videos', NULL, '/uploads/1749514917708-VID-20241006-WA0004.mp4', NULL, '2025-06-10 00:21:58', '2025-06-10 00:21:58'),
+(2, 2, 2, 2, 'QUIZ OF BIG DATA', 'Quizzes', NULL, NULL, '[{\"question_text\":\"1. What are the key characteristics of Big Data, often referred to as the 3 Vs?  \\n\",\"options\":[\"a) Volume, Value, Variety         \",\"b) Volume, Variety, Velocity\",\"c) Volume, Validity, Verification\",\" d) Value, Velocity, Vision \"],\"correct_answer_index\":1}]', '2025-06-10 00:26:50', '2025-06-10 00:26:50');
 
 -- --------------------------------------------------------
 
@@ -86,6 +102,11 @@ CREATE TABLE `modules` (
   `difficulty` varchar(50) DEFAULT NULL,
   `duration_hours` int(11) DEFAULT NULL,
   `price` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `completion_require_all_content` tinyint(1) NOT NULL DEFAULT 1,
+  `completion_quiz_pass_mark` decimal(5,2) DEFAULT NULL,
+  `completion_require_graded_assignments` tinyint(1) NOT NULL DEFAULT 0,
+  `grade_weights` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`grade_weights`)),
+  `grade_missing_as_zero` tinyint(1) NOT NULL DEFAULT 0,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
@@ -152,7 +173,335 @@ CREATE TABLE `user_quiz_attempts` (
   `quiz_content_id` int(11) NOT NULL,
   `score` decimal(5,2) NOT NULL,
   `attempt_date` timestamp NOT NULL DEFAULT current_timestamp(),
-  `submitted_answers` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`submitted_answers`))
+  `submitted_answers` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`submitted_answers`)),
+  `started_at` timestamp NULL DEFAULT NULL,
+  `is_expired` tinyint(1) NOT NULL DEFAULT 0,
+  `quiz_variant` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_variant`)),
+  `content_version_id` int(11) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `password_resets`
+--
+
+CREATE TABLE `password_resets` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `used_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `assignment_submissions`
+--
+
+CREATE TABLE `assignment_submissions` (
+  `id` int(11) NOT NULL,
+  `content_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `file_path` varchar(255) DEFAULT NULL,
+  `submission_text` text DEFAULT NULL,
+  `is_late` tinyint(1) NOT NULL DEFAULT 0,
+  `submission_count` int(11) NOT NULL DEFAULT 1,
+  `submitted_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `score` decimal(6,2) DEFAULT NULL,
+  `feedback` text DEFAULT NULL,
+  `returned_file_path` varchar(255) DEFAULT NULL,
+  `rubric_scores` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`rubric_scores`)),
+  `graded_by` int(11) DEFAULT NULL,
+  `graded_at` timestamp NULL DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `rubrics`
+--
+
+CREATE TABLE `rubrics` (
+  `id` int(11) NOT NULL,
+  `owner_id` int(11) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `criteria` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`criteria`)),
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `learner_feedback`
+--
+
+CREATE TABLE `learner_feedback` (
+  `id` int(11) NOT NULL,
+  `learner_id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `author_id` int(11) DEFAULT NULL,
+  `message` text NOT NULL,
+  `rating` tinyint(1) NOT NULL DEFAULT 5 CHECK (`rating` between 1 and 5),
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `message_threads`
+--
+
+CREATE TABLE `message_threads` (
+  `id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `learner_id` int(11) NOT NULL,
+  `instructor_id` int(11) NOT NULL,
+  `subject` varchar(255) NOT NULL,
+  `learner_last_read_id` int(11) NOT NULL DEFAULT 0,
+  `instructor_last_read_id` int(11) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `last_message_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `messages`
+--
+
+CREATE TABLE `messages` (
+  `id` int(11) NOT NULL,
+  `thread_id` int(11) NOT NULL,
+  `sender_id` int(11) NOT NULL,
+  `body` text NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `forum_threads`
+--
+
+CREATE TABLE `forum_threads` (
+  `id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `author_id` int(11) DEFAULT NULL,
+  `title` varchar(255) NOT NULL,
+  `body` text NOT NULL,
+  `is_pinned` tinyint(1) NOT NULL DEFAULT 0,
+  `is_locked` tinyint(1) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `last_activity_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `forum_posts`
+--
+
+CREATE TABLE `forum_posts` (
+  `id` int(11) NOT NULL,
+  `thread_id` int(11) NOT NULL,
+  `author_id` int(11) DEFAULT NULL,
+  `body` text NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `transactions`
+--
+
+CREATE TABLE `transactions` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `module_id` int(11) DEFAULT NULL,
+  `instructor_id` int(11) DEFAULT NULL,
+  `type` enum('payment','refund') NOT NULL DEFAULT 'payment',
+  `status` enum('pending','completed','failed') NOT NULL DEFAULT 'completed',
+  `amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'USD',
+  `provider` varchar(50) DEFAULT NULL,
+  `provider_reference` varchar(255) DEFAULT NULL,
+  `related_transaction_id` int(11) DEFAULT NULL,
+  `coupon_id` int(11) DEFAULT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `description` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `orders`
+--
+
+CREATE TABLE `orders` (
+  `id` int(11) NOT NULL,
+  `reference` varchar(64) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `original_amount` decimal(10,2) NOT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'USD',
+  `coupon_id` int(11) DEFAULT NULL,
+  `provider` varchar(50) NOT NULL,
+  `provider_reference` varchar(255) DEFAULT NULL,
+  `status` enum('pending','paid','failed','cancelled') NOT NULL DEFAULT 'pending',
+  `failure_reason` varchar(255) DEFAULT NULL,
+  `transaction_id` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `paid_at` timestamp NULL DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `coupons`
+--
+
+CREATE TABLE `coupons` (
+  `id` int(11) NOT NULL,
+  `code` varchar(50) NOT NULL,
+  `discount_type` enum('percentage','fixed') NOT NULL DEFAULT 'percentage',
+  `discount_value` decimal(10,2) NOT NULL,
+  `module_id` int(11) DEFAULT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `max_uses` int(11) DEFAULT NULL,
+  `times_used` int(11) NOT NULL DEFAULT 0,
+  `is_active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `certificates`
+--
+
+CREATE TABLE `certificates` (
+  `id` int(11) NOT NULL,
+  `enrollment_id` int(11) DEFAULT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `module_id` int(11) DEFAULT NULL,
+  `verification_code` varchar(19) NOT NULL,
+  `learner_name` varchar(255) NOT NULL,
+  `module_name` varchar(255) NOT NULL,
+  `instructor_name` varchar(255) DEFAULT NULL,
+  `issued_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `quiz_attempt_starts`
+--
+
+CREATE TABLE `quiz_attempt_starts` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `quiz_content_id` int(11) NOT NULL,
+  `started_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `deadline_at` timestamp NULL DEFAULT NULL,
+  `quiz_variant` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_variant`)),
+  `content_version_id` int(11) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `question_bank_items`
+--
+
+CREATE TABLE `question_bank_items` (
+  `id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `question` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`question`)),
+  `tags` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`tags`)),
+  `difficulty` enum('easy','medium','hard') NOT NULL DEFAULT 'medium',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `gradebook_entries`
+--
+
+CREATE TABLE `gradebook_entries` (
+  `id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `participation_score` decimal(5,2) DEFAULT NULL,
+  `override_percentage` decimal(5,2) DEFAULT NULL,
+  `override_letter` varchar(5) DEFAULT NULL,
+  `override_note` text DEFAULT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `module_sections`
+--
+
+CREATE TABLE `module_sections` (
+  `id` int(11) NOT NULL,
+  `module_id` int(11) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `position` int(11) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
+
+--
+-- Dumping data for table `module_sections`
+--
+-- Content created before sections existed is moved into a default section per module
+--
+
+INSERT INTO `module_sections` (`id`, `module_id`, `title`, `description`, `position`, `created_at`, `updated_at`) VALUES
+(1, 1, 'Course Content', NULL, 1, '2025-06-09 23:43:42', '2025-06-09 23:43:42'),
+(2, 2, 'Course Content', NULL, 1, '2025-06-10 00:14:38', '2025-06-10 00:14:38');
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `content_versions`
+--
+
+CREATE TABLE `content_versions` (
+  `id` int(11) NOT NULL,
+  `content_id` int(11) NOT NULL,
+  `version_number` int(11) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `content_text` text DEFAULT NULL,
+  `file_path` varchar(255) DEFAULT NULL,
+  `quiz_data` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_data`)),
+  `quiz_draw_rules` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quiz_draw_rules`)),
+  `settings` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`settings`)),
+  `note` varchar(255) DEFAULT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=latin1 COLLATE=latin1_swedish_ci;
 
 --
@@ -164,7 +513,9 @@ CREATE TABLE `user_quiz_attempts` (
 --
 ALTER TABLE `content`
   ADD PRIMARY KEY (`id`),
-  ADD KEY `fk_content_module` (`module_id`);
+  ADD KEY `fk_content_module` (`module_id`),
+  ADD KEY `fk_content_section` (`section_id`),
+  ADD KEY `fk_content_rubric` (`rubric_id`);
 
 --
 -- Indexes for table `enrollments`
@@ -202,7 +553,157 @@ ALTER TABLE `user_content_progress`
 ALTER TABLE `user_quiz_attempts`
   ADD PRIMARY KEY (`id`),
   ADD KEY `fk_attempt_user` (`user_id`),
-  ADD KEY `fk_attempt_quiz_content` (`quiz_content_id`);
+  ADD KEY `fk_attempt_quiz_content` (`quiz_content_id`),
+  ADD KEY `fk_attempt_content_version` (`content_version_id`);
+
+--
+-- Indexes for table `password_resets`
+--
+ALTER TABLE `password_resets`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `unique_token_hash` (`token_hash`),
+  ADD KEY `fk_password_reset_user` (`user_id`);
+
+--
+-- Indexes for table `assignment_submissions`
+--
+ALTER TABLE `assignment_submissions`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `unique_submission` (`content_id`,`user_id`),
+  ADD KEY `fk_submission_user` (`user_id`),
+  ADD KEY `fk_submission_grader` (`graded_by`);
+
+--
+-- Indexes for table `rubrics`
+--
+ALTER TABLE `rubrics`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_rubric_owner` (`owner_id`);
+
+--
+-- Indexes for table `learner_feedback`
+--
+ALTER TABLE `learner_feedback`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_feedback_learner` (`learner_id`),
+  ADD KEY `fk_feedback_module` (`module_id`),
+  ADD KEY `fk_feedback_author` (`author_id`);
+
+--
+-- Indexes for table `message_threads`
+--
+ALTER TABLE `message_threads`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_thread_module` (`module_id`),
+  ADD KEY `fk_thread_learner` (`learner_id`),
+  ADD KEY `fk_thread_instructor` (`instructor_id`);
+
+--
+-- Indexes for table `messages`
+--
+ALTER TABLE `messages`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_message_thread` (`thread_id`),
+  ADD KEY `fk_message_sender` (`sender_id`);
+
+--
+-- Indexes for table `forum_threads`
+--
+ALTER TABLE `forum_threads`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_forum_thread_module` (`module_id`),
+  ADD KEY `fk_forum_thread_author` (`author_id`);
+
+--
+-- Indexes for table `forum_posts`
+--
+ALTER TABLE `forum_posts`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_forum_post_thread` (`thread_id`),
+  ADD KEY `fk_forum_post_author` (`author_id`);
+
+--
+-- Indexes for table `transactions`
+--
+ALTER TABLE `transactions`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_transaction_user` (`user_id`),
+  ADD KEY `fk_transaction_module` (`module_id`),
+  ADD KEY `fk_transaction_instructor` (`instructor_id`),
+  ADD KEY `fk_transaction_related` (`related_transaction_id`),
+  ADD KEY `fk_transaction_coupon` (`coupon_id`),
+  ADD KEY `idx_transaction_created` (`created_at`);
+
+--
+-- Indexes for table `orders`
+--
+ALTER TABLE `orders`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `unique_order_reference` (`reference`),
+  ADD KEY `fk_order_user` (`user_id`),
+  ADD KEY `fk_order_module` (`module_id`),
+  ADD KEY `fk_order_transaction` (`transaction_id`),
+  ADD KEY `fk_order_coupon` (`coupon_id`);
+
+--
+-- Indexes for table `coupons`
+--
+ALTER TABLE `coupons`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `unique_coupon_code` (`code`),
+  ADD KEY `fk_coupon_module` (`module_id`),
+  ADD KEY `fk_coupon_creator` (`created_by`);
+
+--
+-- Indexes for table `certificates`
+--
+ALTER TABLE `certificates`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_certificate_code` (`verification_code`),
+  ADD UNIQUE KEY `uq_certificate_enrollment` (`enrollment_id`),
+  ADD KEY `fk_certificate_user` (`user_id`),
+  ADD KEY `fk_certificate_module` (`module_id`);
+
+--
+-- Indexes for table `quiz_attempt_starts`
+--
+ALTER TABLE `quiz_attempt_starts`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_quiz_start_user_quiz` (`user_id`,`quiz_content_id`),
+  ADD KEY `fk_quiz_start_content` (`quiz_content_id`),
+  ADD KEY `fk_quiz_start_content_version` (`content_version_id`);
+
+--
+-- Indexes for table `question_bank_items`
+--
+ALTER TABLE `question_bank_items`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_bank_item_module` (`module_id`),
+  ADD KEY `fk_bank_item_creator` (`created_by`);
+
+--
+-- Indexes for table `gradebook_entries`
+--
+ALTER TABLE `gradebook_entries`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_gradebook_module_user` (`module_id`,`user_id`),
+  ADD KEY `fk_gradebook_user` (`user_id`),
+  ADD KEY `fk_gradebook_updated_by` (`updated_by`);
+
+--
+-- Indexes for table `module_sections`
+--
+ALTER TABLE `module_sections`
+ADD PRIMARY KEY (`id`),
+  ADD KEY `fk_section_module` (`module_id`);
+
+--
+-- Indexes for table `content_versions`
+--
+ALTER TABLE `content_versions`
+ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_content_version_number` (`content_id`,`version_number`),
+  ADD KEY `fk_content_version_created_by` (`created_by`);
 
 --
 -- AUTO_INCREMENT for dumped tables
@@ -244,6 +745,108 @@ ALTER TABLE `user_content_progress`
 ALTER TABLE `user_quiz_attempts`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `password_resets`
+--
+ALTER TABLE `password_resets`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `assignment_submissions`
+--
+ALTER TABLE `assignment_submissions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `rubrics`
+--
+ALTER TABLE `rubrics`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `learner_feedback`
+--
+ALTER TABLE `learner_feedback`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `message_threads`
+--
+ALTER TABLE `message_threads`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `messages`
+--
+ALTER TABLE `messages`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `forum_threads`
+--
+ALTER TABLE `forum_threads`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `forum_posts`
+--
+ALTER TABLE `forum_posts`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `transactions`
+--
+ALTER TABLE `transactions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `orders`
+--
+ALTER TABLE `orders`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `coupons`
+--
+ALTER TABLE `coupons`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `certificates`
+--
+ALTER TABLE `certificates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `quiz_attempt_starts`
+--
+ALTER TABLE `quiz_attempt_starts`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `question_bank_items`
+--
+ALTER TABLE `question_bank_items`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `gradebook_entries`
+--
+ALTER TABLE `gradebook_entries`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `module_sections`
+--
+ALTER TABLE `module_sections`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=3;
+
+--
+-- AUTO_INCREMENT for table `content_versions`
+--
+ALTER TABLE `content_versions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- Constraints for dumped tables
 --
@@ -252,7 +855,9 @@ ALTER TABLE `user_quiz_attempts`
 -- Constraints for table `content`
 --
 ALTER TABLE `content`
-  ADD CONSTRAINT `fk_content_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+  ADD CONSTRAINT `fk_content_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_content_rubric` FOREIGN KEY (`rubric_id`) REFERENCES `rubrics` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_content_section` FOREIGN KEY (`section_id`) REFERENCES `module_sections` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
 
 --
 -- Constraints for table `enrollments`
@@ -278,8 +883,136 @@ ALTER TABLE `user_content_progress`
 -- Constraints for table `user_quiz_attempts`
 --
 ALTER TABLE `user_quiz_attempts`
+  ADD CONSTRAINT `fk_attempt_content_version` FOREIGN KEY (`content_version_id`) REFERENCES `content_versions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
   ADD CONSTRAINT `fk_attempt_quiz_content` FOREIGN KEY (`quiz_content_id`) REFERENCES `content` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
   ADD CONSTRAINT `fk_attempt_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `password_resets`
+--
+ALTER TABLE `password_resets`
+ADD CONSTRAINT `fk_password_reset_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `assignment_submissions`
+--
+ALTER TABLE `assignment_submissions`
+ADD CONSTRAINT `fk_submission_content` FOREIGN KEY (`content_id`) REFERENCES `content` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_submission_grader` FOREIGN KEY (`graded_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_submission_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `rubrics`
+--
+ALTER TABLE `rubrics`
+ADD CONSTRAINT `fk_rubric_owner` FOREIGN KEY (`owner_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `learner_feedback`
+--
+ALTER TABLE `learner_feedback`
+ADD CONSTRAINT `fk_feedback_author` FOREIGN KEY (`author_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_feedback_learner` FOREIGN KEY (`learner_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_feedback_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `message_threads`
+--
+ALTER TABLE `message_threads`
+ADD CONSTRAINT `fk_thread_instructor` FOREIGN KEY (`instructor_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_thread_learner` FOREIGN KEY (`learner_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_thread_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `messages`
+--
+ALTER TABLE `messages`
+ADD CONSTRAINT `fk_message_sender` FOREIGN KEY (`sender_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_message_thread` FOREIGN KEY (`thread_id`) REFERENCES `message_threads` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `forum_threads`
+--
+ALTER TABLE `forum_threads`
+ADD CONSTRAINT `fk_forum_thread_author` FOREIGN KEY (`author_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_forum_thread_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `forum_posts`
+--
+ALTER TABLE `forum_posts`
+ADD CONSTRAINT `fk_forum_post_author` FOREIGN KEY (`author_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_forum_post_thread` FOREIGN KEY (`thread_id`) REFERENCES `forum_threads` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `transactions`
+--
+ALTER TABLE `transactions`
+ADD CONSTRAINT `fk_transaction_coupon` FOREIGN KEY (`coupon_id`) REFERENCES `coupons` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_transaction_instructor` FOREIGN KEY (`instructor_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_transaction_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_transaction_related` FOREIGN KEY (`related_transaction_id`) REFERENCES `transactions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_transaction_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+--
+-- Constraints for table `orders`
+--
+ALTER TABLE `orders`
+ADD CONSTRAINT `fk_order_coupon` FOREIGN KEY (`coupon_id`) REFERENCES `coupons` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_order_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_order_transaction` FOREIGN KEY (`transaction_id`) REFERENCES `transactions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_order_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `coupons`
+--
+ALTER TABLE `coupons`
+ADD CONSTRAINT `fk_coupon_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_coupon_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `certificates`
+--
+ALTER TABLE `certificates`
+ADD CONSTRAINT `fk_certificate_enrollment` FOREIGN KEY (`enrollment_id`) REFERENCES `enrollments` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_certificate_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_certificate_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+--
+-- Constraints for table `quiz_attempt_starts`
+--
+ALTER TABLE `quiz_attempt_starts`
+ADD CONSTRAINT `fk_quiz_start_content` FOREIGN KEY (`quiz_content_id`) REFERENCES `content` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_quiz_start_content_version` FOREIGN KEY (`content_version_id`) REFERENCES `content_versions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_quiz_start_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `question_bank_items`
+--
+ALTER TABLE `question_bank_items`
+ADD CONSTRAINT `fk_bank_item_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_bank_item_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `gradebook_entries`
+--
+ALTER TABLE `gradebook_entries`
+ADD CONSTRAINT `fk_gradebook_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_gradebook_updated_by` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_gradebook_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `module_sections`
+--
+ALTER TABLE `module_sections`
+ADD CONSTRAINT `fk_section_module` FOREIGN KEY (`module_id`) REFERENCES `modules` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+--
+-- Constraints for table `content_versions`
+--
+ALTER TABLE `content_versions`
+ADD CONSTRAINT `fk_content_version_content` FOREIGN KEY (`content_id`) REFERENCES `content` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `fk_content_version_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
 COMMIT;
 
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;
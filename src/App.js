@@ -4,15 +4,254 @@ import './App.css'; // Assuming you have an App.css for basic styling
 
 // Import icons (ensure you have lucide-react installed: npm install lucide-react)
 import {
-    BookOpen, User, Crown, LogOut, Loader2, CheckCircle, XCircle, ChevronLeft,
+    BookOpen, User, LogOut, Loader2, CheckCircle, XCircle, ChevronLeft,
     PlusCircle, Edit, Trash2, UserPlus, Eye, EyeOff, BarChart, DollarSign, ListChecks,
-    Users, FileText, Settings, Lock, Unlock, ArrowUp, ArrowDown, Star, MessageSquare,
+    Users, FileText, Settings, Lock, Unlock, ArrowUp, ArrowDown, Star, MessageSquare, ChevronDown, ChevronRight,
     Filter, Clock, DollarSign as DollarIcon, Globe, GraduationCap, Calendar, Award // Added Award for Certificates
 } from 'lucide-react';
 
 // Define materialTypes globally for consistency
 const materialTypes = ['Notes', 'Videos', 'Quizzes', 'Assignments'];
 
+// When learners may see the correct answers of a quiz they attempted
+const revealAnswerOptions = [
+    { value: 'never', label: 'Never' },
+    { value: 'after_submission', label: 'Right after submission' },
+    { value: 'after_date', label: 'After a chosen date' },
+];
+
+// Which of a learner's quiz attempts counts towards passing
+const quizScoringOptions = [
+    { value: 'best', label: 'Best attempt' },
+    { value: 'latest', label: 'Latest attempt' },
+    { value: 'average', label: 'Average of all attempts' },
+];
+
+// File formats quizzes can be imported from and exported to
+const quizExchangeFormats = [
+    { value: 'gift', label: 'Moodle GIFT (.txt)' },
+    { value: 'qti', label: 'IMS QTI 2.1 package (.zip)' },
+];
+
+// How hard a question bank entry is; quizzes can draw questions of one difficulty
+const questionDifficulties = [
+    { value: 'easy', label: 'Easy' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'hard', label: 'Hard' },
+];
+
+/**
+ * Returns a blank content form for the lecturer's "Add Content" modal.
+ * When id is set the modal edits that content item instead.
+ * @returns {object}
+ */
+const createEmptyContentForm = () => ({
+    id: null,
+    title: '',
+    section_id: '', // Blank adds it to the module's first section
+    content_type: 'Notes',
+    file: null,
+    current_file_path: null, // The file an edited item already has
+    remove_file: false,
+    content_text: '',
+    due_date: '',
+    allow_late_submissions: true,
+    max_score: 100,
+});
+
+/**
+ * Returns a blank form for the lecturer's feedback/grading modal.
+ * When submissionId is set the modal grades that assignment submission;
+ * when feedbackId is set it edits an existing feedback entry.
+ * @returns {object}
+ */
+const createEmptyFeedbackForm = () => ({
+    feedbackId: null,
+    learnerId: '',
+    learnerName: '',
+    message: '',
+    rating: 5,
+    submissionId: null,
+    score: '',
+    rubricScores: [],
+    returnedFile: null,
+});
+
+/**
+ * Returns a blank rubric with one criterion, for the rubric editor.
+ * @returns {object}
+ */
+const createEmptyRubricForm = () => ({
+    id: null,
+    title: '',
+    criteria: [{ criterion: '', levels: [{ label: 'Excellent', points: 10 }, { label: 'Satisfactory', points: 5 }, { label: 'Needs work', points: 0 }] }],
+});
+
+/**
+ * Formats an assignment due date for display, or a fallback when none is set.
+ * @param {string|null} dueDate
+ * @returns {string}
+ */
+const formatDueDate = (dueDate) => (dueDate ? new Date(dueDate).toLocaleString() : 'No due date');
+
+/**
+ * The name a learner gave a submitted file, without the prefix the server adds to keep stored names unique.
+ * @param {string} filePath - A submission's file_path or returned_file_path.
+ * @returns {string}
+ */
+const submissionFileName = (filePath) => filePath.split('/').pop().replace(/^\d+-([0-9a-f]{16}-)?/, '');
+
+/**
+ * Formats a decimal amount from the API (string or number) with two decimals.
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+const formatMoney = (value) => (parseFloat(value) || 0).toFixed(2);
+
+/**
+ * Formats a number of seconds as a m:ss countdown (e.g. for timed quizzes).
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Formats a stored date for a datetime-local input, in the browser's time zone.
+ * @param {string|null} value
+ * @returns {string} '' when there is no date.
+ */
+const toDateTimeInputValue = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Blank coupon form. Lecturers must pick one of their modules; admins default to site-wide.
+ * @param {object[]} modules
+ * @param {boolean} allowSiteWide
+ */
+const createEmptyCouponForm = (modules, allowSiteWide) => ({
+    code: '',
+    discount_type: 'percentage',
+    discount_value: '',
+    module_id: allowSiteWide || modules.length === 0 ? '' : String(modules[0].id),
+    expires_at: '',
+    max_uses: '',
+});
+
+// Question types a quiz can mix; each has its own answer key fields (see createEmptyQuizQuestion)
+const quizQuestionTypes = [
+    { value: 'single', label: 'Single choice' },
+    { value: 'multiple', label: 'Multiple choice (partial credit)' },
+    { value: 'true_false', label: 'True / False' },
+    { value: 'numeric', label: 'Numeric' },
+    { value: 'short_text', label: 'Short answer' },
+    { value: 'matching', label: 'Matching' },
+    { value: 'ordering', label: 'Ordering' },
+];
+
+/**
+ * Returns a blank question of the given type for the quiz form.
+ * @param {string} [type]
+ * @returns {object}
+ */
+const createEmptyQuizQuestion = (type = 'single') => {
+    const base = { type, question_text: '', explanation: '' };
+    switch (type) {
+        case 'multiple':
+            return { ...base, options: ['', '', '', ''], correct_answer_indices: [] };
+        case 'true_false':
+            return { ...base, correct_answer: true };
+        case 'numeric':
+            return { ...base, correct_value: '', tolerance: '' };
+        case 'short_text':
+            return { ...base, accepted_answers: [''], case_sensitive: false };
+        case 'matching':
+            return { ...base, pairs: [{ prompt: '', match: '' }, { prompt: '', match: '' }] };
+        case 'ordering':
+            return { ...base, items: ['', '', ''] };
+        default:
+            return { ...base, options: ['', '', '', ''], correct_answer_index: 0 };
+    }
+};
+
+/**
+ * Whether a learner has answered a question (ordering questions always have an order).
+ * @param {object} question - A learner-facing quiz_data entry.
+ * @param {*} answer
+ * @returns {boolean}
+ */
+const isQuizQuestionAnswered = (question, answer) => {
+    switch (question.type) {
+        case 'multiple':
+            return Array.isArray(answer) && answer.length > 0;
+        case 'numeric':
+        case 'short_text':
+            return answer !== undefined && String(answer).trim() !== '';
+        case 'matching':
+            return Array.isArray(answer) && question.prompts.every((_, i) => answer[i]);
+        case 'ordering':
+            return true;
+        default:
+            return answer !== undefined;
+    }
+};
+
+/**
+ * Returns a blank rule for drawing questions from the question bank. Empty tag/difficulty match any question.
+ * @returns {object}
+ */
+const createEmptyDrawRule = () => ({ tag: '', difficulty: '', count: 1 });
+
+/**
+ * Returns a blank form for adding a section (a week or topic) to a module.
+ * @returns {object}
+ */
+const createEmptySectionForm = () => ({ id: null, title: '', description: '' });
+
+/**
+ * Returns a blank form for adding a question to the question bank.
+ * @returns {object}
+ */
+const createEmptyQuestionBankForm = () => ({
+    id: null,
+    question: createEmptyQuizQuestion(),
+    tags: '',
+    difficulty: 'medium',
+});
+
+/**
+ * Returns a blank quiz form for the lecturer's "Add Quiz" modal.
+ * When id is set the modal edits that quiz instead.
+ * @returns {object}
+ */
+const createEmptyQuizForm = () => ({
+    id: null,
+    edit_mode: 'new_version', // What editing the questions does to earlier attempts: 'new_version' or 'regrade'
+    title: '',
+    section_id: '',
+    reveal_answers: 'never',
+    reveal_answers_at: '',
+    pass_mark: '',
+    max_attempts: '',
+    attempt_cooldown_minutes: '',
+    attempt_scoring: 'best',
+    time_limit_minutes: '',
+    question_source: 'written', // 'written' questions, or 'bank' to draw them for each attempt
+    questions: [createEmptyQuizQuestion()],
+    draw_rules: [createEmptyDrawRule()],
+    shuffle_questions: false,
+    shuffle_options: false,
+});
+
+// Categories a module's final grade is weighted over
+const gradeCategories = [
+    { value: 'quizzes', label: 'Quizzes' },
+    { value: 'assignments', label: 'Assignments' },
+    { value: 'participation', label: 'Participation' },
+];
+
 // --- API Utility Function (CRITICAL FOR FETCH ERRORS & COOKIES) ---
 const API_BASE_URL = 'http://localhost:5000'; // Ensure this matches your backend PORT
 
@@ -430,7 +669,8 @@ function RegisterForm({ onRegisterSuccess, onSwitchToLogin, role }) {
 }
 
 /**
- * Forgot Password Component (Dummy, as backend doesn't implement actual reset)
+ * Forgot Password Component
+ * Requests a password reset link for the given email address.
  * @param {object} props
  * @param {function(): void} props.onSwitchToLogin - Callback to switch to login view.
  */
@@ -446,11 +686,11 @@ function ForgotPassword({ onSwitchToLogin }) {
         setMessage('');
         setError('');
         try {
-            // This is a dummy call as backend doesn't have this route implemented yet.
-            // In a real app, this would hit /api/auth/forgot-password
-            console.log(`Simulating reset link sent to: ${email}`);
-            await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate API call
-            setMessage('If an account with that email exists, a password reset link has been sent.');
+            const data = await callApi('/api/auth/forgot-password', {
+                method: 'POST',
+                body: { email }
+            });
+            setMessage(data?.message || 'If an account with that email exists, a password reset link has been sent.');
             setEmail('');
         } catch (err) {
             setError(err.message);
@@ -489,127 +729,2490 @@ function ForgotPassword({ onSwitchToLogin }) {
     );
 }
 
-// --- Dashboard Components ---
-
 /**
- * Learner Dashboard Component
+ * Reset Password Component
+ * Lets the user choose a new password using the token from the emailed reset link.
  * @param {object} props
- * @param {object} props.currentUser - The authenticated learner user object.
+ * @param {string} props.token - The reset token taken from the link.
+ * @param {function(): void} props.onSwitchToLogin - Callback to switch to login view.
+ * @param {function(): void} [props.onSwitchToForgotPassword] - Callback to request a new link.
  */
-function LearnerDashboard({ currentUser }) {
-    const [enrolledModules, setEnrolledModules] = useState([]);
-    const [allPublishedModules, setAllPublishedModules] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [selectedModuleForContent, setSelectedModuleForContent] = useState(null); // New state to view module content
-    const [moduleContent, setModuleContent] = useState([]); // Content for selected module
-    const [quizAttempts, setQuizAttempts] = useState([]); // Quiz attempts for current user
-    const [currentQuiz, setCurrentQuiz] = useState(null); // Currently active quiz object (content item)
-    const [quizAnswers, setQuizAnswers] = useState({}); // Stores user's answers for the current quiz
-    const [quizResult, setQuizResult] = useState(null); // Stores quiz submission result
-    const [quizTab, setQuizTab] = useState('take'); // 'take' or 'history'
-    const [showAskInstructorModal, setShowAskInstructorModal] = useState(false);
-    const [askInstructorMessage, setAskInstructorMessage] = useState('');
-
-
-    // Filter states for module browsing
-    const [filters, setFilters] = useState({
-        category: '',
-        difficulty: '',
-        duration_hours_max: '',
-        price_max: ''
-    });
-
-    const categories = ['Programming', 'Data Science', 'Design', 'Marketing']; // Example categories
-    const difficulties = ['Beginner', 'Intermediate', 'Advanced'];
+function ResetPasswordForm({ token, onSwitchToLogin, onSwitchToForgotPassword }) {
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
 
-    // Mock certificates for demonstration
-    const mockCertificates = [
-        { id: 'cert1', name: 'Web Development Fundamentals', module: 'Introduction to Web Dev', date: '2024-05-15' },
-        { id: 'cert2', name: 'React Advanced Topics', module: 'Advanced React Concepts', date: '2024-07-01' },
-    ];
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        setError('');
 
+        if (password !== confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
 
-    const fetchEnrolledModules = useCallback(async () => {
         setLoading(true);
-        setError(null);
         try {
-            const enrollments = await callApi('/api/enrollments');
-            
-            const modulesDetails = await Promise.all(
-                enrollments.map(async (enrollment) => {
-                    try {
-                        const module = await callApi(`/api/modules/${enrollment.module_id}`);
-                        const content = await callApi(`/api/modules/${enrollment.module_id}/content`);
-                        
-                        const totalContentItems = content.length;
-                        const completedContentItems = content.filter(item => item.user_completed_content).length;
-                        const progressPercentage = totalContentItems > 0 ? (completedContentItems / totalContentItems) * 100 : 0;
-
-                        return { 
-                            ...module, 
-                            enrollment_id: enrollment.id, 
-                            is_completed: enrollment.is_completed,
-                            enrollment_date: enrollment.enrollment_date ? new Date(enrollment.enrollment_date) : null,
-                            progress_percentage: progressPercentage.toFixed(0), // Round for display
-                            total_content_items: totalContentItems,
-                            completed_content_items: completedContentItems
-                        };
-                    }
-                    catch (moduleError) {
-                        console.error(`Failed to fetch details for module ${enrollment.module_id}:`, moduleError);
-                        return null; 
-                    }
-                })
-            );
-            setEnrolledModules(modulesDetails.filter(Boolean)); 
+            const data = await callApi('/api/auth/reset-password', {
+                method: 'POST',
+                body: { token, password }
+            });
+            setMessage(data?.message || 'Password has been reset successfully. You can now log in.');
+            setPassword('');
+            setConfirmPassword('');
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, []);
+    };
 
-    const fetchAllPublishedModules = useCallback(async () => {
-        setLoading(true);
-        setError(null);
-        try {
-            const queryParams = new URLSearchParams();
-            if (filters.category) queryParams.append('category', filters.category);
-            if (filters.difficulty) queryParams.append('difficulty', filters.difficulty);
-            if (filters.duration_hours_max) queryParams.append('duration_hours_max', filters.duration_hours_max);
-            if (filters.price_max) queryParams.append('price_max', filters.price_max);
+    return (
+        <div className="auth-form-container">
+            <h2>Reset Password</h2>
+            {error && <p className="error">{error}</p>}
+            {message && <p className="success">{message}</p>}
+            {!message && (
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label htmlFor="reset-password">New Password:</label>
+                        <div className="password-input-wrapper">
+                            <input
+                                type={showPassword ? 'text' : 'password'}
+                                id="reset-password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                minLength={6}
+                                required
+                            />
+                            <span
+                                className="password-toggle"
+                                onClick={() => setShowPassword(!showPassword)}
+                                role="button"
+                                aria-label={showPassword ? 'Hide password' : 'Show password'}
+                            >
+                                {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                            </span>
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="reset-confirmPassword">Confirm New Password:</label>
+                        <input
+                            type={showPassword ? 'text' : 'password'}
+                            id="reset-confirmPassword"
+                            value={confirmPassword}
+                            onChange={(e) => setConfirmPassword(e.target.value)}
+                            minLength={6}
+                            required
+                        />
+                    </div>
+                    <div className="form-actions">
+                        <button type="submit" disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : 'Reset Password'}
+                        </button>
+                    </div>
+                </form>
+            )}
+            <div className="auth-links">
+                <button className="link-btn" onClick={onSwitchToLogin}>
+                    Back to Login
+                </button>
+                {!message && onSwitchToForgotPassword && (
+                    <button className="link-btn" onClick={onSwitchToForgotPassword}>
+                        Request a new link
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
 
-            const data = await callApi(`/api/modules?${queryParams.toString()}`); 
-            setAllPublishedModules(data);
-        } catch (err) {
-            setError(err.message);
-        } finally {
-            setLoading(false);
-        }
-    }, [filters]);
+/**
+ * Certificate Verification Component
+ * Public page opened from a certificate's verification link (?verify=CODE), so anyone
+ * (e.g. an employer) can confirm the certificate was issued by the platform.
+ * @param {object} props
+ * @param {string} props.code - The verification code printed on the certificate.
+ * @param {function(): void} props.onContinue - Callback to leave the page and open the app.
+ */
+function CertificateVerification({ code, onContinue }) {
+    const [certificate, setCertificate] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
 
-    // Fetch enrolled modules on initial load and whenever filters change
     useEffect(() => {
-        fetchEnrolledModules();
-        fetchAllPublishedModules();
-    }, [fetchEnrolledModules, fetchAllPublishedModules]);
+        const verify = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const data = await callApi(`/api/certificates/verify/${encodeURIComponent(code)}`);
+                setCertificate(data);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        verify();
+    }, [code]);
 
-    const handleFilterChange = useCallback((e) => {
-        const { name, value } = e.target;
-        setFilters(prev => ({ ...prev, [name]: value }));
-    }, []);
+    return (
+        <div className="auth-form-container certificate-verification">
+            <h2>Certificate Verification</h2>
+            <p>Certificate ID: <code>{code}</code></p>
+            {loading ? (
+                <Loader2 className="animate-spin" />
+            ) : certificate ? (
+                <div className="verification-result valid">
+                    <CheckCircle size={48} color="#4CAF50" />
+                    <p><strong>This certificate is genuine.</strong></p>
+                    <p>
+                        <strong>{certificate.learner_name}</strong> completed <strong>{certificate.module_name}</strong>
+                        {certificate.instructor_name && <> taught by {certificate.instructor_name}</>} at {certificate.college_name}
+                        {' '}on {new Date(certificate.issued_at).toLocaleDateString()}.
+                    </p>
+                </div>
+            ) : (
+                <div className="verification-result invalid">
+                    <XCircle size={48} color="#e74c3c" />
+                    <p><strong>This certificate could not be verified.</strong></p>
+                    {error && <p className="error">{error}</p>}
+                </div>
+            )}
+            <div className="auth-links">
+                <button className="link-btn" onClick={onContinue}>
+                    Continue to the platform
+                </button>
+            </div>
+        </div>
+    );
+}
 
+/**
+ * Per-question review of a quiz attempt, showing the learner's answer, the correct answer, any
+ * partial credit and the lecturer's explanations. Only rendered when the backend has released the
+ * answers for the attempt.
+ * @param {object} props
+ * @param {object[]} props.review - Review entries from the backend. Choice questions have options,
+ *     selected_indices, correct_indices and option_explanations; other types have your_answer and
+ *     correct_answer lines. Every entry may have an explanation.
+ */
+function QuizAttemptReview({ review }) {
+    return (
+        <div className="attempt-review">
+            {review.map((item, qIndex) => {
+                const isPartial = !item.is_correct && item.credit > 0;
+                return (
+                    <div key={qIndex} className={`review-question ${item.is_correct ? 'correct' : isPartial ? 'partial' : 'incorrect'}`}>
+                        <p className="question-text">
+                            {item.is_correct ? <CheckCircle size={16} color="green" /> : <XCircle size={16} color={isPartial ? 'orange' : 'red'} />}
+                            {' '}<strong>{qIndex + 1}. {item.question_text}</strong>
+                            {isPartial && <span className="review-tag"> (partly correct: {Math.round(item.credit * 100)}%)</span>}
+                        </p>
+                        {item.options ? (
+                            <ul className="review-options">
+                                {item.options.map((option, optIndex) => (
+                                    <li
+                                        key={optIndex}
+                                        className={`${item.correct_indices.includes(optIndex) ? 'correct-option' : ''} ${item.selected_indices.includes(optIndex) ? 'selected-option' : ''}`}
+                                    >
+                                        {option}
+                                        {item.selected_indices.includes(optIndex) && <span className="review-tag"> (your answer)</span>}
+                                        {item.correct_indices.includes(optIndex) && <span className="review-tag"> (correct answer)</span>}
+                                        {item.option_explanations && item.option_explanations[optIndex] && (
+                                            <p className="option-explanation">{item.option_explanations[optIndex]}</p>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <div className="review-text-answers">
+                                <div>
+                                    <span className="review-tag">Your answer:</span>
+                                    {item.your_answer.length === 0 ? <p>(no answer)</p> : (
+                                        <ol>{item.your_answer.map((line, i) => <li key={i}>{line}</li>)}</ol>
+                                    )}
+                                </div>
+                                <div>
+                                    <span className="review-tag">{item.type === 'short_text' ? 'Accepted answers:' : 'Correct answer:'}</span>
+                                    <ol>{item.correct_answer.map((line, i) => <li key={i}>{line}</li>)}</ol>
+                                </div>
+                            </div>
+                        )}
+                        {item.explanation && (
+                            <p className="review-explanation"><strong>Explanation:</strong> {item.explanation}</p>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
 
-    const handleEnroll = async (moduleId, modulePrice) => {
-        // Ensure price is a number before comparison
-        const priceValue = parseFloat(modulePrice);
-        if (!isNaN(priceValue) && priceValue > 0) {
-            alert(`This is a paid module ($${priceValue.toFixed(2)}). Payment integration is not yet implemented.`);
-            return;
+/**
+ * Answer input for one quiz question, rendered according to its type.
+ * @param {object} props
+ * @param {object} props.question - Learner-facing quiz_data entry (no answer key).
+ * @param {*} props.value - The current answer: an option index, index list, boolean, text, or list of strings.
+ * @param {function(*): void} props.onChange - Called with the new answer.
+ * @param {string} props.name - Unique input name for the question.
+ * @param {boolean} props.disabled
+ */
+function QuizQuestionInput({ question, value, onChange, name, disabled }) {
+    switch (question.type) {
+        case 'multiple': {
+            const selected = value || [];
+            return (
+                <div className="options-grid">
+                    {question.options.map((option, optIndex) => (
+                        <label key={optIndex} className="quiz-option">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(optIndex)}
+                                onChange={(e) => onChange(e.target.checked
+                                    ? [...selected, optIndex]
+                                    : selected.filter(index => index !== optIndex))}
+                                disabled={disabled}
+                            />
+                            {option}
+                        </label>
+                    ))}
+                </div>
+            );
+        }
+        case 'true_false':
+            return (
+                <div className="options-grid">
+                    {[true, false].map(option => (
+                        <label key={String(option)} className="quiz-option">
+                            <input type="radio" name={name} checked={value === option} onChange={() => onChange(option)} disabled={disabled} />
+                            {option ? 'True' : 'False'}
+                        </label>
+                    ))}
+                </div>
+            );
+        case 'numeric':
+            return (
+                <input type="number" step="any" value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} placeholder="Your answer" />
+            );
+        case 'short_text':
+            return (
+                <input type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} placeholder="Your answer" />
+            );
+        case 'matching': {
+            const matches = value || [];
+            return (
+                <div className="matching-question">
+                    {question.prompts.map((prompt, i) => (
+                        <div key={i} className="matching-row">
+                            <span>{prompt}</span>
+                            <select
+                                value={matches[i] || ''}
+                                onChange={(e) => {
+                                    const updated = [...matches];
+                                    updated[i] = e.target.value;
+                                    onChange(updated);
+                                }}
+                                disabled={disabled}
+                            >
+                                <option value="">Choose a match</option>
+                                {question.match_options.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+            );
+        }
+        case 'ordering': {
+            const order = value || question.order_options;
+            const move = (index, offset) => {
+                const updated = [...order];
+                [updated[index], updated[index + offset]] = [updated[index + offset], updated[index]];
+                onChange(updated);
+            };
+            return (
+                <ol className="ordering-question">
+                    {order.map((item, i) => (
+                        <li key={item}>
+                            <span>{item}</span>
+                            <button type="button" className="action-btn" onClick={() => move(i, -1)} disabled={disabled || i === 0} title="Move up">
+                                <ArrowUp size={14} />
+                            </button>
+                            <button type="button" className="action-btn" onClick={() => move(i, 1)} disabled={disabled || i === order.length - 1} title="Move down">
+                                <ArrowDown size={14} />
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            );
         }
+        default:
+            return (
+                <div className="options-grid">
+                    {question.options.map((option, optIndex) => (
+                        <label key={optIndex} className="quiz-option">
+                            <input
+                                type="radio"
+                                name={name}
+                                value={optIndex}
+                                checked={value === optIndex}
+                                onChange={() => onChange(optIndex)}
+                                disabled={disabled}
+                            />
+                            {option}
+                        </label>
+                    ))}
+                </div>
+            );
+    }
+}
 
-        setLoading(true); 
+/**
+ * Editor for one question in the lecturer's quiz form, including its type-specific answer key.
+ * @param {object} props
+ * @param {object} props.question - The question being edited.
+ * @param {number} props.index - Position of the question in the quiz.
+ * @param {function(object): void} props.onChange - Called with the updated question.
+ * @param {function(): void} [props.onRemove] - Removes the question; omitted when it is the only one.
+ */
+function QuizQuestionEditor({ question, index, onChange, onRemove }) {
+    const update = (fields) => onChange({ ...question, ...fields });
+    // Edits one entry of a list field (options, accepted_answers, items)
+    const updateListEntry = (field, entryIndex, entryValue) => {
+        const list = [...question[field]];
+        list[entryIndex] = entryValue;
+        update({ [field]: list });
+    };
+    const removeListEntry = (field, entryIndex) => update({ [field]: question[field].filter((_, i) => i !== entryIndex) });
+
+    const renderListEditor = (field, placeholder, minEntries) => (
+        <>
+            {question[field].map((entry, entryIndex) => (
+                <div key={entryIndex} className="quiz-list-entry">
+                    {field === 'options' && question.type === 'single' && (
+                        <input
+                            type="radio"
+                            name={`correct-${index}`}
+                            checked={question.correct_answer_index === entryIndex}
+                            onChange={() => update({ correct_answer_index: entryIndex })}
+                            title="Correct answer"
+                        />
+                    )}
+                    {field === 'options' && question.type === 'multiple' && (
+                        <input
+                            type="checkbox"
+                            checked={question.correct_answer_indices.includes(entryIndex)}
+                            onChange={(e) => update({
+                                correct_answer_indices: e.target.checked
+                                    ? [...question.correct_answer_indices, entryIndex]
+                                    : question.correct_answer_indices.filter(i => i !== entryIndex)
+                            })}
+                            title="Correct answer"
+                        />
+                    )}
+                    <input
+                        type="text"
+                        value={entry}
+                        onChange={(e) => updateListEntry(field, entryIndex, e.target.value)}
+                        placeholder={`${placeholder} ${entryIndex + 1}`}
+                        required
+                    />
+                    {field === 'options' && (
+                        <input
+                            type="text"
+                            className="option-explanation"
+                            value={(question.option_explanations || [])[entryIndex] || ''}
+                            onChange={(e) => update({
+                                option_explanations: question.options.map((_, i) => (i === entryIndex
+                                    ? e.target.value
+                                    : (question.option_explanations || [])[i] || ''))
+                            })}
+                            placeholder="Why is this right/wrong? (optional)"
+                        />
+                    )}
+                    {question[field].length > minEntries && (
+                        <button
+                            type="button"
+                            className="delete-btn"
+                            onClick={() => {
+                                // Keep the answer key pointing at the same options
+                                const fields = { [field]: question[field].filter((_, i) => i !== entryIndex) };
+                                if (field === 'options' && question.option_explanations) {
+                                    fields.option_explanations = question.option_explanations.filter((_, i) => i !== entryIndex);
+                                }
+                                if (field === 'options' && question.type === 'single') {
+                                    fields.correct_answer_index = question.correct_answer_index > entryIndex
+                                        ? question.correct_answer_index - 1
+                                        : (question.correct_answer_index === entryIndex ? 0 : question.correct_answer_index);
+                                } else if (field === 'options' && question.type === 'multiple') {
+                                    fields.correct_answer_indices = question.correct_answer_indices
+                                        .filter(i => i !== entryIndex)
+                                        .map(i => (i > entryIndex ? i - 1 : i));
+                                }
+                                update(fields);
+                            }}
+                            title="Remove"
+                        >
+                            <Trash2 size={14} />
+                        </button>
+                    )}
+                </div>
+            ))}
+            <button type="button" className="link-btn" onClick={() => update({ [field]: [...question[field], ''] })}>
+                <PlusCircle size={14} /> Add {placeholder.toLowerCase()}
+            </button>
+        </>
+    );
+
+    return (
+        <div className="quiz-question-group">
+            <div className="form-group">
+                <label>Question {index + 1} Type:</label>
+                <select
+                    value={question.type}
+                    // Switching type keeps the question text and explanation but starts a fresh answer key
+                    onChange={(e) => onChange({ ...createEmptyQuizQuestion(e.target.value), question_text: question.question_text, explanation: question.explanation })}
+                >
+                    {quizQuestionTypes.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="form-group">
+                <label>Question {index + 1}:</label>
+                <textarea
+                    name="question_text"
+                    value={question.question_text}
+                    onChange={(e) => update({ question_text: e.target.value })}
+                    rows="2"
+                    required
+                />
+            </div>
+
+            {(question.type === 'single' || question.type === 'multiple') && (
+                <div className="form-group">
+                    <label>Options ({question.type === 'single' ? 'select the correct one' : 'tick every correct one'}):</label>
+                    {renderListEditor('options', 'Option', 2)}
+                </div>
+            )}
+
+            {question.type === 'true_false' && (
+                <div className="form-group">
+                    <label>Correct Answer:</label>
+                    <select value={String(question.correct_answer)} onChange={(e) => update({ correct_answer: e.target.value === 'true' })}>
+                        <option value="true">True</option>
+                        <option value="false">False</option>
+                    </select>
+                </div>
+            )}
+
+            {question.type === 'numeric' && (
+                <>
+                    <div className="form-group">
+                        <label>Correct Value:</label>
+                        <input type="number" step="any" value={question.correct_value} onChange={(e) => update({ correct_value: e.target.value })} required />
+                    </div>
+                    <div className="form-group">
+                        <label>Tolerance (answers within ± this are accepted):</label>
+                        <input type="number" step="any" min="0" value={question.tolerance} onChange={(e) => update({ tolerance: e.target.value })} placeholder="0" />
+                    </div>
+                </>
+            )}
+
+            {question.type === 'short_text' && (
+                <div className="form-group">
+                    <label>Accepted Answers:</label>
+                    {renderListEditor('accepted_answers', 'Answer', 1)}
+                    <div className="checkbox-group">
+                        <input
+                            type="checkbox"
+                            id={`case-sensitive-${index}`}
+                            checked={question.case_sensitive}
+                            onChange={(e) => update({ case_sensitive: e.target.checked })}
+                        />
+                        <label htmlFor={`case-sensitive-${index}`}>Case sensitive</label>
+                    </div>
+                </div>
+            )}
+
+            {question.type === 'matching' && (
+                <div className="form-group">
+                    <label>Pairs (learners match each prompt to its answer):</label>
+                    {question.pairs.map((pair, pairIndex) => (
+                        <div key={pairIndex} className="quiz-list-entry">
+                            <input
+                                type="text"
+                                value={pair.prompt}
+                                onChange={(e) => update({ pairs: question.pairs.map((p, i) => (i === pairIndex ? { ...p, prompt: e.target.value } : p)) })}
+                                placeholder={`Prompt ${pairIndex + 1}`}
+                                required
+                            />
+                            <input
+                                type="text"
+                                value={pair.match}
+                                onChange={(e) => update({ pairs: question.pairs.map((p, i) => (i === pairIndex ? { ...p, match: e.target.value } : p)) })}
+                                placeholder={`Match ${pairIndex + 1}`}
+                                required
+                            />
+                            {question.pairs.length > 2 && (
+                                <button type="button" className="delete-btn" onClick={() => removeListEntry('pairs', pairIndex)} title="Remove">
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    <button type="button" className="link-btn" onClick={() => update({ pairs: [...question.pairs, { prompt: '', match: '' }] })}>
+                        <PlusCircle size={14} /> Add pair
+                    </button>
+                </div>
+            )}
+
+            {question.type === 'ordering' && (
+                <div className="form-group">
+                    <label>Items in the correct order (learners see them shuffled):</label>
+                    {renderListEditor('items', 'Item', 2)}
+                </div>
+            )}
+
+            <div className="form-group">
+                <label>Explanation (shown with the answers when they are revealed, optional):</label>
+                <textarea
+                    name="explanation"
+                    value={question.explanation || ''}
+                    onChange={(e) => update({ explanation: e.target.value })}
+                    rows="2"
+                />
+            </div>
+
+            {onRemove && (
+                <button type="button" className="delete-question-btn" onClick={onRemove}>
+                    <Trash2 className="icon" /> Remove Question
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Lists a module's content grouped into its sections, in section order.
+ * @param {object} props
+ * @param {object[]} props.sections - The module's sections, in order.
+ * @param {object[]} props.content - Content items, each with the section_id it belongs to.
+ * @param {function} props.renderItem - Renders one content item, given the item, its index in the section and the section's items.
+ * @param {function} [props.renderSectionActions] - Renders the buttons in a section's header, given the section and its index.
+ * @param {function} [props.onDropIntoSection] - Called with a section's id when something is dropped on it, enabling drag-and-drop.
+ * @param {boolean} [props.collapsible=false] - Whether sections can be folded away, with a count of completed items.
+ */
+function ModuleSectionList({ sections, content, renderItem, renderSectionActions, onDropIntoSection, collapsible = false }) {
+    const [collapsedIds, setCollapsedIds] = useState([]);
+
+    const toggleSection = (sectionId) => {
+        setCollapsedIds(prev => (prev.includes(sectionId) ? prev.filter(id => id !== sectionId) : [...prev, sectionId]));
+    };
+
+    return (
+        <div className="module-sections">
+            {sections.map((section, index) => {
+                const items = content.filter(item => item.section_id === section.id);
+                const collapsed = collapsedIds.includes(section.id);
+                return (
+                    <div
+                        key={section.id}
+                        className="module-section"
+                        onDragOver={onDropIntoSection ? (e) => e.preventDefault() : undefined}
+                        onDrop={onDropIntoSection ? (e) => {
+                            e.preventDefault();
+                            onDropIntoSection(section.id);
+                        } : undefined}
+                    >
+                        <div className="section-header">
+                            {collapsible ? (
+                                <button type="button" className="section-toggle" onClick={() => toggleSection(section.id)} aria-expanded={!collapsed}>
+                                    {collapsed ? <ChevronRight size={18} /> : <ChevronDown size={18} />}
+                                    <h4>{section.title}</h4>
+                                    <span className="section-progress">
+                                        {items.filter(item => item.user_completed_content).length} / {items.length} completed
+                                    </span>
+                                </button>
+                            ) : (
+                                <h4>{section.title}</h4>
+                            )}
+                            {renderSectionActions && <div className="content-actions">{renderSectionActions(section, index)}</div>}
+                        </div>
+                        {!collapsed && (
+                            <>
+                                {section.description && <p className="section-description">{section.description}</p>}
+                                {items.length === 0 ? (
+                                    <p className="section-empty">No content in this section yet.</p>
+                                ) : (
+                                    <div className="content-list">{items.map(renderItem)}</div>
+                                )}
+                            </>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+/**
+ * A module's question bank: reusable questions with tags and a difficulty, which quizzes draw from.
+ * @param {object} props
+ * @param {number} props.moduleId - The module whose bank is managed.
+ */
+function QuestionBank({ moduleId }) {
+    const [items, setItems] = useState([]);
+    const [filters, setFilters] = useState({ tag: '', difficulty: '' });
+    const [bankForm, setBankForm] = useState(createEmptyQuestionBankForm);
+    const [showBankForm, setShowBankForm] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchItems = useCallback(async () => {
+        try {
+            const data = await callApi(`/api/modules/${moduleId}/question-bank`);
+            setItems(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId]);
+
+    useEffect(() => {
+        fetchItems();
+    }, [fetchItems]);
+
+    const allTags = [...new Set(items.flatMap(item => item.tags))].sort();
+    const visibleItems = items.filter(item => (!filters.tag || item.tags.includes(filters.tag))
+        && (!filters.difficulty || item.difficulty === filters.difficulty));
+
+    const handleCloseBankForm = useCallback(() => {
+        setShowBankForm(false);
+        setBankForm(createEmptyQuestionBankForm());
+        setError(null);
+    }, []);
+
+    const handleEditItem = useCallback((item) => {
+        setBankForm({ id: item.id, question: item.question, tags: item.tags.join(', '), difficulty: item.difficulty });
+        setShowBankForm(true);
+    }, []);
+
+    const handleSaveItem = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const body = { question: bankForm.question, tags: bankForm.tags, difficulty: bankForm.difficulty };
+            if (bankForm.id) {
+                await callApi(`/api/question-bank/${bankForm.id}`, { method: 'PUT', body });
+                alert('Question updated successfully!');
+            } else {
+                await callApi(`/api/modules/${moduleId}/question-bank`, { method: 'POST', body });
+                alert('Question added to the bank!');
+            }
+            handleCloseBankForm();
+            fetchItems();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [bankForm, moduleId, handleCloseBankForm, fetchItems]);
+
+    const handleDeleteItem = useCallback(async (itemId) => {
+        if (!window.confirm('Remove this question from the bank? Attempts already made keep their copy of it.')) return;
+        setError(null);
+        try {
+            await callApi(`/api/question-bank/${itemId}`, { method: 'DELETE' });
+            fetchItems();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [fetchItems]);
+
+    return (
+        <div className="question-bank">
+            {error && !showBankForm && <p className="error">{error}</p>}
+            <div className="content-actions">
+                <button className="add-btn" onClick={() => setShowBankForm(true)}>
+                    <PlusCircle className="icon" /> Add Question
+                </button>
+                <select value={filters.tag} onChange={(e) => setFilters(prev => ({ ...prev, tag: e.target.value }))}>
+                    <option value="">All tags</option>
+                    {allTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                </select>
+                <select value={filters.difficulty} onChange={(e) => setFilters(prev => ({ ...prev, difficulty: e.target.value }))}>
+                    <option value="">All difficulties</option>
+                    {questionDifficulties.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            </div>
+
+            {visibleItems.length === 0 ? (
+                <p>{items.length === 0 ? 'The question bank is empty. Questions added here can be drawn into quizzes.' : 'No questions match these filters.'}</p>
+            ) : (
+                <div className="content-list">
+                    {visibleItems.map(item => (
+                        <div key={item.id} className="content-item">
+                            <div className="content-info">
+                                <span className="content-type">{quizQuestionTypes.find(type => type.value === (item.question.type || 'single'))?.label}</span>
+                                <h4>{item.question.question_text}</h4>
+                                <div className="quiz-info">
+                                    <span>Difficulty: {questionDifficulties.find(option => option.value === item.difficulty)?.label}</span>
+                                    <span>Tags: {item.tags.length > 0 ? item.tags.join(', ') : 'None'}</span>
+                                </div>
+                            </div>
+                            <div className="content-actions">
+                                <button className="action-btn" onClick={() => handleEditItem(item)} title="Edit">
+                                    <Edit size={16} />
+                                </button>
+                                <button className="delete-btn" onClick={() => handleDeleteItem(item.id)} title="Delete">
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <Modal
+                title={bankForm.id ? 'Edit Bank Question' : 'Add Bank Question'}
+                isOpen={showBankForm}
+                onClose={handleCloseBankForm}
+                showOkButton={false}
+            >
+                <form onSubmit={handleSaveItem}>
+                    <QuizQuestionEditor
+                        question={bankForm.question}
+                        index={0}
+                        onChange={(question) => setBankForm(prev => ({ ...prev, question }))}
+                    />
+                    <div className="form-group">
+                        <label>Tags (comma separated):</label>
+                        <input
+                            type="text"
+                            value={bankForm.tags}
+                            onChange={(e) => setBankForm(prev => ({ ...prev, tags: e.target.value }))}
+                            placeholder="e.g. week 1, algebra"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Difficulty:</label>
+                        <select value={bankForm.difficulty} onChange={(e) => setBankForm(prev => ({ ...prev, difficulty: e.target.value }))}>
+                            {questionDifficulties.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    </div>
+                    {error && <p className="error">{error}</p>}
+                    <div className="form-actions">
+                        <button type="button" className="cancel-btn" onClick={handleCloseBankForm}>Cancel</button>
+                        <button type="submit" disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : (bankForm.id ? 'Save Question' : 'Add Question')}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </div>
+    );
+}
+
+/**
+ * Lists the questions an import converted and those it could not, with the reason for each.
+ * @param {object} props
+ * @param {object} props.preview - Response of the import preview endpoint ({ questions, skipped, total }).
+ */
+function QuizImportPreview({ preview }) {
+    return (
+        <div className="quiz-import-preview">
+            <p><strong>{preview.questions.length} of {preview.total}</strong> question(s) can be imported.</p>
+            {preview.questions.length > 0 && (
+                <ol>
+                    {preview.questions.map((question, index) => (
+                        <li key={index}>
+                            {question.question_text} <span className="review-tag">({quizQuestionTypes.find(type => type.value === question.type)?.label})</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+            {preview.skipped.length > 0 && <SkippedQuestionList skipped={preview.skipped} title="Could not be converted:" />}
+        </div>
+    );
+}
+
+/**
+ * Questions left out of a quiz import or export.
+ * @param {object} props
+ * @param {object[]} props.skipped - Entries with number, title and reason.
+ * @param {string} props.title - Heading for the list.
+ */
+function SkippedQuestionList({ skipped, title }) {
+    return (
+        <div className="skipped-questions">
+            <p className="error">{title}</p>
+            <ul>
+                {skipped.map(entry => (
+                    <li key={entry.number}>Question {entry.number} ({entry.title}): {entry.reason}</li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * Export options for one quiz: pick a format, see which questions it cannot hold, then download.
+ * @param {object} props
+ * @param {object} props.quiz - The quiz content item.
+ */
+function QuizExportPanel({ quiz }) {
+    const [format, setFormat] = useState('gift');
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setPreview(null);
+        setError(null);
+        callApi(`/api/content/${quiz.id}/export?format=${format}&preview=1`)
+            .then(setPreview)
+            .catch(err => setError(err.message));
+    }, [quiz.id, format]);
+
+    return (
+        <div className="quiz-export">
+            <div className="form-group">
+                <label htmlFor="quiz-export-format">Format:</label>
+                <select id="quiz-export-format" value={format} onChange={(e) => setFormat(e.target.value)}>
+                    {quizExchangeFormats.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            </div>
+            {error && <p className="error">{error}</p>}
+            {!preview && !error && <p>Checking questions...</p>}
+            {preview && (
+                <>
+                    <p>
+                        {preview.total - preview.skipped.length} of {preview.total} question(s) will be exported
+                        {quiz.quiz_draw_rules ? ' (every bank question this quiz can draw)' : ''}.
+                    </p>
+                    {preview.skipped.length > 0 && <SkippedQuestionList skipped={preview.skipped} title="Left out of this format:" />}
+                    <a className="action-btn" href={`${API_BASE_URL}/api/content/${quiz.id}/export?format=${format}`}>
+                        Download
+                    </a>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Formats a duration in seconds as e.g. "4m 05s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+/**
+ * Item analysis of one quiz for its lecturer: score distribution, average time, and per question the
+ * percent correct, discrimination index and how often each option (or answer) was chosen.
+ * @param {object} props
+ * @param {object} props.quiz - The quiz content item.
+ */
+function QuizAnalysisPanel({ quiz }) {
+    const [scope, setScope] = useState('all');
+    const [analysis, setAnalysis] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setAnalysis(null);
+        setError(null);
+        callApi(`/api/quizzes/${quiz.id}/analysis?attempts=${scope}`)
+            .then(setAnalysis)
+            .catch(err => setError(err.message));
+    }, [quiz.id, scope]);
+
+    if (error) return <p className="error">{error}</p>;
+    if (!analysis) return <p>Loading analysis...</p>;
+
+    const largestBucket = Math.max(1, ...analysis.score_histogram.map(bucket => bucket.count));
+    return (
+        <div className="quiz-analysis">
+            <div className="form-group">
+                <label htmlFor="analysis-scope">Attempts Analysed:</label>
+                <select id="analysis-scope" value={scope} onChange={(e) => setScope(e.target.value)}>
+                    <option value="all">All attempts</option>
+                    <option value="first">Each learner's first attempt</option>
+                </select>
+            </div>
+            <div className="stats-grid">
+                <div className="stat-card"><h4>Attempts</h4><p>{analysis.attempt_count}</p></div>
+                <div className="stat-card"><h4>Learners</h4><p>{analysis.learner_count}</p></div>
+                <div className="stat-card"><h4>Average Score</h4><p>{analysis.average_score !== null ? `${analysis.average_score}%` : '-'}</p></div>
+                <div className="stat-card"><h4>Average Time</h4><p>{analysis.average_time_seconds !== null ? formatDuration(analysis.average_time_seconds) : 'Not recorded'}</p></div>
+            </div>
+            {analysis.expired_count > 0 && <p>{analysis.expired_count} attempt(s) ran out of time and are left out of the figures below.</p>}
+
+            <h4>Score Distribution</h4>
+            <div className="score-histogram">
+                {analysis.score_histogram.map(bucket => (
+                    <div key={bucket.min} className="histogram-bar" title={`${bucket.count} attempt(s)`}>
+                        <span className="histogram-count">{bucket.count}</span>
+                        <div className="histogram-fill" style={{ height: `${(bucket.count / largestBucket) * 100}%` }} />
+                        <span className="histogram-label">{bucket.min}-{bucket.max}%</span>
+                    </div>
+                ))}
+            </div>
+
+            <h4>Questions</h4>
+            <p className="analysis-hint">
+                Discrimination compares the top and bottom 27% of attempts: below 0.2 the question barely separates
+                stronger from weaker learners, and a negative value usually means the answer key or wording needs a look.
+            </p>
+            {analysis.questions.map((question, index) => (
+                <div key={question.key} className="analysis-question">
+                    <p className="question-text"><strong>{index + 1}. {question.question_text}</strong></p>
+                    <div className="quiz-info">
+                        <span>Type: {quizQuestionTypes.find(type => type.value === question.type)?.label}</span>
+                        <span>Answered: {question.times_shown}</span>
+                        <span>Correct: {question.percent_correct !== null ? `${question.percent_correct}%` : '-'}</span>
+                        <span className={question.discrimination_index !== null && question.discrimination_index < 0.2 ? 'weak-discrimination' : ''}>
+                            Discrimination: {question.discrimination_index !== null ? question.discrimination_index : 'Not enough attempts'}
+                        </span>
+                    </div>
+                    {question.options && (
+                        <ul className="review-options">
+                            {question.options.map(option => (
+                                <li key={option.option} className={option.is_correct ? 'correct-option' : ''}>
+                                    {option.option}{option.is_correct && <span className="review-tag"> (correct)</span>}
+                                    {' '}- chosen {option.times_selected} time(s) ({option.percent_selected}%)
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {question.common_answers.length > 0 && (
+                        <ul className="review-options">
+                            {question.common_answers.map(answer => (
+                                <li key={answer.answer}>{answer.answer} - {answer.count} time(s)</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Readable labels for the settings each content version records
+const versionSettingLabels = {
+    shuffle_questions: 'Shuffle questions',
+    shuffle_options: 'Shuffle options',
+    reveal_answers: 'Answers revealed',
+    reveal_answers_at: 'Reveal date',
+    pass_mark: 'Pass mark',
+    max_attempts: 'Attempts allowed',
+    attempt_cooldown_minutes: 'Minutes between attempts',
+    attempt_scoring: 'Attempt counted',
+    time_limit_minutes: 'Time limit (minutes)',
+    due_date: 'Due date',
+    allow_late_submissions: 'Late submissions',
+    max_score: 'Maximum score',
+};
+
+/**
+ * Formats a recorded setting value for the version history.
+ * @param {string} key - A versionSettingLabels key.
+ * @param {*} value
+ * @returns {string}
+ */
+const formatVersionSetting = (key, value) => {
+    if (value === null || value === undefined || value === '') return 'None';
+    if (['shuffle_questions', 'shuffle_options', 'allow_late_submissions'].includes(key)) return value ? 'Yes' : 'No';
+    if (key === 'reveal_answers_at' || key === 'due_date') return new Date(value).toLocaleString();
+    if (key === 'reveal_answers') return revealAnswerOptions.find(option => option.value === value)?.label || value;
+    if (key === 'attempt_scoring') return quizScoringOptions.find(option => option.value === value)?.label || value;
+    return String(parseFloat(value));
+};
+
+/**
+ * Writes a quiz's questions (with their answer keys) or draw rules out as lines of text, so two versions can be diffed.
+ * @param {object} version - A content version.
+ * @returns {string[]}
+ */
+const describeQuizVersion = (version) => {
+    if (version.quiz_draw_rules) {
+        return version.quiz_draw_rules.map(rule => `Draw ${rule.count} ${rule.difficulty || 'any difficulty'} question(s) tagged ${rule.tag || 'anything'}`);
+    }
+    return (version.quiz_data || []).flatMap((question, index) => {
+        const type = question.type || 'single';
+        const lines = [`${index + 1}. [${quizQuestionTypes.find(option => option.value === type)?.label}] ${question.question_text}`];
+        switch (type) {
+            case 'single':
+            case 'multiple':
+                question.options.forEach((option, i) => {
+                    const isCorrect = type === 'single' ? question.correct_answer_index === i : question.correct_answer_indices.includes(i);
+                    lines.push(`    ${isCorrect ? '(correct) ' : ''}${option}`);
+                    if (question.option_explanations && question.option_explanations[i]) {
+                        lines.push(`        ${question.option_explanations[i]}`);
+                    }
+                });
+                break;
+            case 'true_false':
+                lines.push(`    Answer: ${question.correct_answer ? 'True' : 'False'}`);
+                break;
+            case 'numeric':
+                lines.push(`    Answer: ${question.correct_value}${question.tolerance ? ` (+/- ${question.tolerance})` : ''}`);
+                break;
+            case 'short_text':
+                lines.push(`    Accepted: ${question.accepted_answers.join(' | ')}${question.case_sensitive ? ' (case sensitive)' : ''}`);
+                break;
+            case 'matching':
+                question.pairs.forEach(pair => lines.push(`    ${pair.prompt} -> ${pair.match}`));
+                break;
+            case 'ordering':
+                question.items.forEach((item, i) => lines.push(`    ${i + 1}) ${item}`));
+                break;
+            default:
+                break;
+        }
+        if (question.explanation) {
+            lines.push(`    Explanation: ${question.explanation}`);
+        }
+        return lines;
+    });
+};
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence).
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {object[]} { type: 'same' | 'removed' | 'added', text } in reading order.
+ */
+const diffLines = (before, after) => {
+    // common[i][j]: length of the longest common subsequence of before[i..] and after[j..]
+    const common = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            common[i][j] = before[i] === after[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            lines.push({ type: 'same', text: before[i] });
+            i++;
+            j++;
+        } else if (i < before.length && (j === after.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ type: 'removed', text: before[i] });
+            i++;
+        } else {
+            lines.push({ type: 'added', text: after[j] });
+            j++;
+        }
+    }
+    return lines;
+};
+
+/**
+ * What changed between two versions of a content item: its title, file and settings, and a
+ * line diff of its text or quiz questions.
+ * @param {object} props
+ * @param {object} props.before - The earlier version.
+ * @param {object} props.after - The later version.
+ */
+function ContentVersionDiff({ before, after }) {
+    const fileName = (filePath) => (filePath ? filePath.split('/').pop() : 'None');
+    const fieldChanges = [];
+    if (before.title !== after.title) {
+        fieldChanges.push({ label: 'Title', before: before.title, after: after.title });
+    }
+    if (before.file_path !== after.file_path) {
+        fieldChanges.push({ label: 'File', before: fileName(before.file_path), after: fileName(after.file_path) });
+    }
+    Object.keys(versionSettingLabels).forEach(key => {
+        const previous = formatVersionSetting(key, before.settings[key]);
+        const current = formatVersionSetting(key, after.settings[key]);
+        if (previous !== current) {
+            fieldChanges.push({ label: versionSettingLabels[key], before: previous, after: current });
+        }
+    });
+
+    const isQuiz = Boolean(after.quiz_data || after.quiz_draw_rules || before.quiz_data || before.quiz_draw_rules);
+    const beforeLines = isQuiz ? describeQuizVersion(before) : (before.content_text || '').split('\n');
+    const afterLines = isQuiz ? describeQuizVersion(after) : (after.content_text || '').split('\n');
+    const lines = diffLines(beforeLines, afterLines);
+    const hasLineChanges = lines.some(line => line.type !== 'same');
+
+    if (fieldChanges.length === 0 && !hasLineChanges) {
+        return <p>No changes from version {before.version_number}.</p>;
+    }
+    return (
+        <div className="version-diff">
+            {fieldChanges.length > 0 && (
+                <ul className="version-field-changes">
+                    {fieldChanges.map(change => (
+                        <li key={change.label}>
+                            <strong>{change.label}:</strong> <span className="diff-removed">{change.before}</span> &rarr; <span className="diff-added">{change.after}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {hasLineChanges && (
+                <pre className="diff-lines">
+                    {lines.map((line, index) => (
+                        <div key={index} className={`diff-${line.type}`}>
+                            {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                        </div>
+                    ))}
+                </pre>
+            )}
+        </div>
+    );
+}
+
+/**
+ * A content item's version history for its lecturer: who changed it and when, what each version
+ * changed, and a rollback to any earlier version.
+ * @param {object} props
+ * @param {object} props.content - The content item.
+ * @param {Function} props.onRestored - Called after a version is restored, to reload the module's content.
+ */
+function ContentVersionHistory({ content, onRestored }) {
+    const [versions, setVersions] = useState(null);
+    const [comparedVersionId, setComparedVersionId] = useState(null); // Version whose changes are shown
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchVersions = useCallback(async () => {
+        setError(null);
+        try {
+            setVersions(await callApi(`/api/content/${content.id}/versions`));
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [content.id]);
+
+    useEffect(() => {
+        fetchVersions();
+    }, [fetchVersions]);
+
+    const handleRestore = useCallback(async (version) => {
+        const attemptsNote = content.content_type === 'Quizzes' ? ' Attempts already made keep their marks.' : '';
+        if (!window.confirm(`Restore version ${version.version_number}? This is saved as a new version, so it can be undone.${attemptsNote}`)) {
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await callApi(`/api/content/${content.id}/versions/${version.id}/restore`, { method: 'POST' });
+            alert(result.message);
+            setComparedVersionId(null);
+            await fetchVersions();
+            onRestored();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [content, fetchVersions, onRestored]);
+
+    if (!versions) return error ? <p className="error">{error}</p> : <p>Loading versions...</p>;
+
+    return (
+        <div className="version-history">
+            {error && <p className="error">{error}</p>}
+            {versions.map((version, index) => {
+                // Versions are listed newest first
+                const previous = versions[index + 1];
+                return (
+                    <div key={version.id} className="version-entry">
+                        <div className="version-header">
+                            <div>
+                                <strong>Version {version.version_number}</strong>
+                                {version.is_current && <span className="status-badge active">Current</span>}
+                                <p className="version-meta">
+                                    {new Date(version.created_at).toLocaleString()} by {version.created_by_name || 'Unknown'}
+                                    {version.note && ` - ${version.note}`}
+                                    {content.content_type === 'Quizzes' && ` - ${version.attempt_count} attempt(s) taken against it`}
+                                </p>
+                            </div>
+                            <div className="content-actions">
+                                {previous && (
+                                    <button
+                                        className="action-btn"
+                                        onClick={() => setComparedVersionId(comparedVersionId === version.id ? null : version.id)}
+                                    >
+                                        {comparedVersionId === version.id ? 'Hide Changes' : 'Show Changes'}
+                                    </button>
+                                )}
+                                {!version.is_current && (
+                                    <button className="action-btn" onClick={() => handleRestore(version)} disabled={loading}>
+                                        Restore
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        {comparedVersionId === version.id && previous && <ContentVersionDiff before={previous} after={version} />}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Shows a gradebook percentage, or a dash for work that doesn't count (yet)
+const formatGrade = (percentage) => (percentage === null || percentage === undefined ? '-' : `${percentage}%`);
+
+/**
+ * A module's gradebook for its lecturer: the category weights, every learner's item and category
+ * percentages with their weighted final grade, participation marks and grade overrides, and CSV export.
+ * @param {object} props
+ * @param {number} props.moduleId
+ */
+function Gradebook({ moduleId }) {
+    const [gradebook, setGradebook] = useState(null);
+    const [settingsForm, setSettingsForm] = useState(null);
+    const [entryForm, setEntryForm] = useState(null); // Marks of the learner being edited
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchGradebook = useCallback(async () => {
+        try {
+            const data = await callApi(`/api/modules/${moduleId}/gradebook`);
+            setGradebook(data);
+            setSettingsForm({ weights: data.weights, missing_as_zero: data.missing_as_zero });
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId]);
+
+    useEffect(() => {
+        fetchGradebook();
+    }, [fetchGradebook]);
+
+    const handleSaveSettings = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/modules/${moduleId}/gradebook/settings`, { method: 'PUT', body: settingsForm });
+            alert('Grade settings saved successfully!');
+            fetchGradebook();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId, settingsForm, fetchGradebook]);
+
+    const handleEditEntry = useCallback((learner) => {
+        setError(null);
+        setEntryForm({
+            user_id: learner.user_id,
+            name: `${learner.firstname} ${learner.lastname}`,
+            participation_score: learner.participation_score !== null ? learner.participation_score : '',
+            override_percentage: learner.override_percentage !== null ? learner.override_percentage : '',
+            override_letter: learner.override_letter || '',
+            override_note: learner.override_note || '',
+        });
+    }, []);
+
+    const handleCloseEntryForm = useCallback(() => {
+        setEntryForm(null);
+        setError(null);
+    }, []);
+
+    const handleSaveEntry = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const { user_id, name, ...body } = entryForm;
+            await callApi(`/api/modules/${moduleId}/gradebook/learners/${user_id}`, { method: 'PUT', body });
+            alert(`Grades saved for ${name}!`);
+            setEntryForm(null);
+            fetchGradebook();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId, entryForm, fetchGradebook]);
+
+    if (!gradebook) return error ? <p className="error">{error}</p> : <p>Loading gradebook...</p>;
+
+    const { quizzes, assignments } = gradebook.items;
+    const weightTotal = gradeCategories.reduce((sum, category) => sum + (parseFloat(settingsForm.weights[category.value]) || 0), 0);
+    return (
+        <div className="gradebook">
+            {error && !entryForm && <p className="error">{error}</p>}
+            <form className="gradebook-settings" onSubmit={handleSaveSettings}>
+                <h4>Grade Weights</h4>
+                <div className="gradebook-weights">
+                    {gradeCategories.map(category => (
+                        <div key={category.value} className="form-group">
+                            <label htmlFor={`weight-${category.value}`}>{category.label} (%):</label>
+                            <input
+                                type="number"
+                                id={`weight-${category.value}`}
+                                min="0"
+                                max="100"
+                                step="0.01"
+                                value={settingsForm.weights[category.value]}
+                                onChange={(e) => {
+                                    const weight = e.target.value;
+                                    setSettingsForm(prev => ({ ...prev, weights: { ...prev.weights, [category.value]: weight } }));
+                                }}
+                                required
+                            />
+                        </div>
+                    ))}
+                </div>
+                <p className={weightTotal === 100 ? 'analysis-hint' : 'error'}>Total: {weightTotal}% (the weights must add up to 100%)</p>
+                <div className="checkbox-group">
+                    <input
+                        type="checkbox"
+                        id="missing-as-zero"
+                        checked={settingsForm.missing_as_zero}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, missing_as_zero: e.target.checked }))}
+                    />
+                    <label htmlFor="missing-as-zero">Count quizzes never attempted and assignments never submitted as 0%</label>
+                </div>
+                <p className="analysis-hint">
+                    Participation is the mark you enter for each learner; until you do, it is the share of the module's content they completed.
+                    Letter grades: {gradebook.letter_scale.map(grade => `${grade.letter} ${grade.min}%+`).join(', ')}.
+                </p>
+                <button type="submit" disabled={loading}>Save Grade Settings</button>
+            </form>
+
+            <div className="content-actions">
+                <a className="add-btn" href={`${API_BASE_URL}/api/modules/${moduleId}/gradebook/export`}>
+                    <FileText className="icon" /> Export CSV
+                </a>
+            </div>
+
+            {gradebook.learners.length === 0 ? (
+                <p>No learners enrolled in this module yet.</p>
+            ) : (
+                <div className="learner-table-container">
+                    <table className="learner-table gradebook-table">
+                        <thead>
+                            <tr>
+                                <th>Learner</th>
+                                {quizzes.map(quiz => <th key={`quiz-${quiz.id}`}>{quiz.title}</th>)}
+                                {assignments.map(assignment => <th key={`assignment-${assignment.id}`}>{assignment.title}</th>)}
+                                {gradeCategories.map(category => (
+                                    <th key={category.value}>{category.label} ({gradebook.weights[category.value]}%)</th>
+                                ))}
+                                <th>Computed</th>
+                                <th>Final</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {gradebook.learners.map(learner => (
+                                <tr key={learner.user_id}>
+                                    <td>{learner.firstname} {learner.lastname}</td>
+                                    {quizzes.map(quiz => <td key={`quiz-${quiz.id}`}>{formatGrade(learner.quiz_scores[quiz.id])}</td>)}
+                                    {assignments.map(assignment => (
+                                        <td key={`assignment-${assignment.id}`}>{formatGrade(learner.assignment_scores[assignment.id])}</td>
+                                    ))}
+                                    {gradeCategories.map(category => (
+                                        <td key={category.value} className="category-grade">{formatGrade(learner.categories[category.value])}</td>
+                                    ))}
+                                    <td>{formatGrade(learner.computed_percentage)} {learner.computed_letter}</td>
+                                    <td className="final-grade">
+                                        {formatGrade(learner.final_percentage)} {learner.final_letter}
+                                        {(learner.override_percentage !== null || learner.override_letter) && (
+                                            <span className="review-tag" title={learner.override_note}> (overridden)</span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <button className="action-btn" onClick={() => handleEditEntry(learner)} title="Edit Marks">
+                                            <Edit size={16} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <Modal
+                title={entryForm ? `Grades for ${entryForm.name}` : 'Grades'}
+                isOpen={entryForm !== null}
+                onClose={handleCloseEntryForm}
+                showOkButton={false}
+            >
+                {entryForm && (
+                    <form onSubmit={handleSaveEntry}>
+                        <div className="form-group">
+                            <label htmlFor="participation-score">Participation Mark (%):</label>
+                            <input
+                                type="number"
+                                id="participation-score"
+                                min="0"
+                                max="100"
+                                step="0.01"
+                                value={entryForm.participation_score}
+                                onChange={(e) => setEntryForm(prev => ({ ...prev, participation_score: e.target.value }))}
+                                placeholder="Leave blank to use content completion"
+                            />
+                        </div>
+                        <h4>Override Final Grade</h4>
+                        <p className="analysis-hint">Leave both blank to use the computed grade.</p>
+                        <div className="form-group">
+                            <label htmlFor="override-percentage">Final Percentage:</label>
+                            <input
+                                type="number"
+                                id="override-percentage"
+                                min="0"
+                                max="100"
+                                step="0.01"
+                                value={entryForm.override_percentage}
+                                onChange={(e) => setEntryForm(prev => ({ ...prev, override_percentage: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="override-letter">Letter Grade:</label>
+                            <input
+                                type="text"
+                                id="override-letter"
+                                maxLength="5"
+                                value={entryForm.override_letter}
+                                onChange={(e) => setEntryForm(prev => ({ ...prev, override_letter: e.target.value }))}
+                                placeholder="e.g. B+ or INC"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="override-note">Reason for Override:</label>
+                            <textarea
+                                id="override-note"
+                                value={entryForm.override_note}
+                                onChange={(e) => setEntryForm(prev => ({ ...prev, override_note: e.target.value }))}
+                                rows="3"
+                            />
+                        </div>
+                        {error && <p className="error">{error}</p>}
+                        <div className="form-actions">
+                            <button type="button" className="cancel-btn" onClick={handleCloseEntryForm}>Cancel</button>
+                            <button type="submit" disabled={loading}>
+                                {loading ? <Loader2 className="animate-spin" /> : 'Save Grades'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+        </div>
+    );
+}
+
+/**
+ * A learner's own grades in a module: each quiz and assignment, the category averages and the final grade.
+ * @param {object} props
+ * @param {number} props.moduleId
+ */
+function MyGrades({ moduleId }) {
+    const [gradebook, setGradebook] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        callApi(`/api/modules/${moduleId}/gradebook/me`)
+            .then(setGradebook)
+            .catch(err => setError(err.message));
+    }, [moduleId]);
+
+    if (error) return <p className="error">{error}</p>;
+    if (!gradebook) return <p>Loading your grades...</p>;
+
+    const { grades, items, weights } = gradebook;
+    return (
+        <div className="gradebook">
+            <div className="stats-grid">
+                <div className="stat-card final-grade-card">
+                    <h4>Final Grade</h4>
+                    <p>{grades.final_letter || '-'} ({formatGrade(grades.final_percentage)})</p>
+                </div>
+                {gradeCategories.map(category => (
+                    <div key={category.value} className="stat-card">
+                        <h4>{category.label} ({weights[category.value]}% of grade)</h4>
+                        <p>{formatGrade(grades.categories[category.value])}</p>
+                    </div>
+                ))}
+            </div>
+            <p className="analysis-hint">
+                {gradebook.missing_as_zero
+                    ? 'Quizzes you have not attempted and assignments you have not submitted count as 0%.'
+                    : 'Only graded work counts so far; your grade will change as more of it is marked.'}
+                {' '}Letter grades: {gradebook.letter_scale.map(grade => `${grade.letter} ${grade.min}%+`).join(', ')}.
+            </p>
+
+            {items.quizzes.length + items.assignments.length > 0 && (
+                <div className="learner-table-container">
+                    <table className="learner-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Type</th>
+                                <th>Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {items.quizzes.map(quiz => (
+                                <tr key={`quiz-${quiz.id}`}>
+                                    <td>{quiz.title}</td>
+                                    <td>Quiz</td>
+                                    <td>{formatGrade(grades.quiz_scores[quiz.id])}</td>
+                                </tr>
+                            ))}
+                            {items.assignments.map(assignment => (
+                                <tr key={`assignment-${assignment.id}`}>
+                                    <td>{assignment.title}</td>
+                                    <td>Assignment</td>
+                                    <td>{formatGrade(grades.assignment_scores[assignment.id])}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Inbox of learner <-> instructor conversations, shared by the learner and lecturer dashboards./**
+ * Inbox of learner <-> instructor conversations, shared by the learner and lecturer dashboards.
+ * Lists threads with unread counts and shows the selected thread with a reply box.
+ * @param {object} props
+ * @param {object} props.currentUser - The authenticated user object.
+ * @param {number} [props.refreshKey] - Change this to reload the thread list (e.g. after starting a new thread).
+ */
+function MessageInbox({ currentUser, refreshKey = 0 }) {
+    const [threads, setThreads] = useState([]);
+    const [activeThread, setActiveThread] = useState(null);
+    const [replyBody, setReplyBody] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchThreads = useCallback(async () => {
+        try {
+            const data = await callApi('/api/messages/threads');
+            setThreads(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchThreads();
+    }, [fetchThreads, refreshKey]);
+
+    const handleOpenThread = useCallback(async (threadId) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const thread = await callApi(`/api/messages/threads/${threadId}`);
+            setActiveThread(thread);
+            setReplyBody('');
+            fetchThreads(); // Opening a thread marks it as read
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [fetchThreads]);
+
+    const handleSendReply = useCallback(async (e) => {
+        e.preventDefault();
+        if (!activeThread) return;
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/messages/threads/${activeThread.id}/messages`, {
+                method: 'POST',
+                body: { body: replyBody },
+            });
+            await handleOpenThread(activeThread.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [activeThread, replyBody, handleOpenThread]);
+
+    const totalUnread = threads.reduce((total, thread) => total + Number(thread.unread_count), 0);
+
+    return (
+        <div className="message-inbox">
+            <h3>
+                <MessageSquare size={20} /> Messages
+                {totalUnread > 0 && <span className="unread-badge">{totalUnread} unread</span>}
+            </h3>
+            {error && <p className="error">{error}</p>}
+            {threads.length === 0 ? (
+                <p>No conversations yet.</p>
+            ) : (
+                <div className="inbox-layout">
+                    <ul className="thread-list">
+                        {threads.map(thread => {
+                            const otherName = thread.learner_id === currentUser.id
+                                ? `${thread.instructor_firstname} ${thread.instructor_lastname}`
+                                : `${thread.learner_firstname} ${thread.learner_lastname}`;
+                            return (
+                                <li
+                                    key={thread.id}
+                                    className={`thread-item ${activeThread && activeThread.id === thread.id ? 'active' : ''} ${Number(thread.unread_count) > 0 ? 'unread' : ''}`}
+                                    onClick={() => handleOpenThread(thread.id)}
+                                >
+                                    <div className="thread-subject">
+                                        {thread.subject}
+                                        {Number(thread.unread_count) > 0 && <span className="unread-badge">{thread.unread_count}</span>}
+                                    </div>
+                                    <div className="thread-meta">{otherName} &middot; {thread.module_title}</div>
+                                    {thread.last_message && <div className="thread-preview">{thread.last_message}</div>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                    <div className="thread-view">
+                        {!activeThread ? (
+                            <p>Select a conversation to read it.</p>
+                        ) : (
+                            <>
+                                <h4>{activeThread.subject}</h4>
+                                <p className="thread-meta">{activeThread.module_title}</p>
+                                <div className="message-list">
+                                    {activeThread.messages.map(message => (
+                                        <div key={message.id} className={`message-bubble ${message.sender_id === currentUser.id ? 'mine' : ''}`}>
+                                            <div className="message-sender">
+                                                {message.sender_id === currentUser.id ? 'You' : `${message.firstname} ${message.lastname}`}
+                                                {' '}<span className="message-time">{new Date(message.created_at).toLocaleString()}</span>
+                                            </div>
+                                            <p>{message.body}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                                <form onSubmit={handleSendReply}>
+                                    <div className="form-group">
+                                        <textarea
+                                            value={replyBody}
+                                            onChange={(e) => setReplyBody(e.target.value)}
+                                            rows="3"
+                                            placeholder="Write a reply..."
+                                            required
+                                        />
+                                    </div>
+                                    <div className="form-actions">
+                                        <button type="submit" disabled={loading}>
+                                            {loading ? <Loader2 className="animate-spin" /> : 'Send Reply'}
+                                        </button>
+                                    </div>
+                                </form>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Inline markdown tokens: `code`, **bold**, *italic* and [links](http://...)
+const INLINE_MARKDOWN_PATTERN = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\(https?:\/\/[^\s)]+\))/g;
+
+/**
+ * Renders inline markdown within a single line as React elements.
+ * @param {string} text
+ * @returns {React.ReactNode[]}
+ */
+const renderInlineMarkdown = (text) => text.split(INLINE_MARKDOWN_PATTERN).map((part, index) => {
+    if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+        return <code key={index}>{part.slice(1, -1)}</code>;
+    }
+    if (part.startsWith('**') && part.endsWith('**') && part.length > 3) {
+        return <strong key={index}>{part.slice(2, -2)}</strong>;
+    }
+    if (part.startsWith('*') && part.endsWith('*') && part.length > 1) {
+        return <em key={index}>{part.slice(1, -1)}</em>;
+    }
+    const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)$/);
+    if (link) {
+        return <a key={index} href={link[2]} target="_blank" rel="noopener noreferrer">{link[1]}</a>;
+    }
+    return part;
+});
+
+/**
+ * Renders basic markdown (paragraphs, # headings, - lists, ``` code blocks and inline styles)
+ * as React elements. Raw HTML is never interpreted, so user posts can't inject markup.
+ * @param {string} text
+ * @returns {React.ReactNode}
+ */
+const renderBasicMarkdown = (text) => {
+    const blocks = [];
+    const lines = (text || '').split(/\r?\n/);
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (line.startsWith('```')) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            blocks.push(<pre key={blocks.length}><code>{codeLines.join('\n')}</code></pre>);
+        } else if (/^#{1,3} /.test(line)) {
+            blocks.push(<h5 key={blocks.length}>{renderInlineMarkdown(line.replace(/^#{1,3} /, ''))}</h5>);
+            i++;
+        } else if (/^[-*] /.test(line)) {
+            const items = [];
+            while (i < lines.length && /^[-*] /.test(lines[i])) {
+                items.push(<li key={items.length}>{renderInlineMarkdown(lines[i].slice(2))}</li>);
+                i++;
+            }
+            blocks.push(<ul key={blocks.length}>{items}</ul>);
+        } else if (line.trim() === '') {
+            i++;
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && !lines[i].startsWith('```') && !/^#{1,3} /.test(lines[i]) && !/^[-*] /.test(lines[i])) {
+                // Each line keeps its inline pieces under its own key (block index + line index)
+                paragraph.push(
+                    <React.Fragment key={`${blocks.length}-${i}`}>
+                        {paragraph.length > 0 && <br />}
+                        {renderInlineMarkdown(lines[i])}
+                    </React.Fragment>
+                );
+                i++;
+            }
+            blocks.push(<p key={blocks.length}>{paragraph}</p>);
+        }
+    }
+    return <div className="markdown-body">{blocks}</div>;
+};
+
+/**
+ * Discussion forum for one module. Enrolled learners, the instructor and admins can post;
+ * the instructor (and admins) can pin and lock threads, admins can delete any post.
+ * @param {object} props
+ * @param {number} props.moduleId - The module whose forum to show.
+ * @param {object} props.currentUser - The authenticated user object.
+ */
+function ModuleForum({ moduleId, currentUser }) {
+    const [threads, setThreads] = useState([]);
+    const [canModerate, setCanModerate] = useState(false);
+    const [activeThread, setActiveThread] = useState(null);
+    const [showNewThreadForm, setShowNewThreadForm] = useState(false);
+    const [threadForm, setThreadForm] = useState({ title: '', body: '' });
+    const [replyBody, setReplyBody] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchThreads = useCallback(async () => {
+        setError(null);
+        try {
+            const data = await callApi(`/api/modules/${moduleId}/forum`);
+            setThreads(data.threads);
+            setCanModerate(data.can_moderate);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId]);
+
+    useEffect(() => {
+        setActiveThread(null);
+        fetchThreads();
+    }, [fetchThreads]);
+
+    const handleOpenThread = useCallback(async (threadId) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const thread = await callApi(`/api/modules/${moduleId}/forum/${threadId}`);
+            setActiveThread(thread);
+            setReplyBody('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId]);
+
+    const handleCreateThread = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await callApi(`/api/modules/${moduleId}/forum`, {
+                method: 'POST',
+                body: threadForm,
+            });
+            setShowNewThreadForm(false);
+            setThreadForm({ title: '', body: '' });
+            await fetchThreads();
+            handleOpenThread(result.threadId);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId, threadForm, fetchThreads, handleOpenThread]);
+
+    const handleReply = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/modules/${moduleId}/forum/${activeThread.id}/posts`, {
+                method: 'POST',
+                body: { body: replyBody },
+            });
+            await handleOpenThread(activeThread.id);
+            fetchThreads();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId, activeThread, replyBody, handleOpenThread, fetchThreads]);
+
+    const handleToggleThreadFlag = useCallback(async (flag) => {
+        setError(null);
+        try {
+            await callApi(`/api/modules/${moduleId}/forum/${activeThread.id}`, {
+                method: 'PUT',
+                body: { [flag]: !activeThread[flag] },
+            });
+            await handleOpenThread(activeThread.id);
+            fetchThreads();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId, activeThread, handleOpenThread, fetchThreads]);
+
+    const handleDeleteThread = useCallback(async () => {
+        if (!window.confirm('Delete this thread and all of its replies?')) return;
+        setError(null);
+        try {
+            await callApi(`/api/modules/${moduleId}/forum/${activeThread.id}`, { method: 'DELETE' });
+            setActiveThread(null);
+            fetchThreads();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId, activeThread, fetchThreads]);
+
+    const handleDeletePost = useCallback(async (postId) => {
+        if (!window.confirm('Delete this reply?')) return;
+        setError(null);
+        try {
+            await callApi(`/api/modules/${moduleId}/forum/${activeThread.id}/posts/${postId}`, { method: 'DELETE' });
+            handleOpenThread(activeThread.id);
+            fetchThreads();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleId, activeThread, handleOpenThread, fetchThreads]);
+
+    const authorName = (item) => (item.author_firstname ? `${item.author_firstname} ${item.author_lastname}` : 'Deleted user');
+
+    if (activeThread) {
+        return (
+            <div className="module-forum">
+                <button className="back-btn" onClick={() => setActiveThread(null)}>
+                    <ChevronLeft className="w-5 h-5" /> Back to Threads
+                </button>
+                {error && <p className="error">{error}</p>}
+                <div className="forum-post forum-thread-opening">
+                    <h4>
+                        {activeThread.is_pinned ? <span className="forum-flag">Pinned</span> : null}
+                        {activeThread.is_locked ? <span className="forum-flag locked"><Lock size={12} /> Locked</span> : null}
+                        {activeThread.title}
+                    </h4>
+                    <p className="forum-meta">{authorName(activeThread)} ({activeThread.author_role || 'n/a'}) &middot; {new Date(activeThread.created_at).toLocaleString()}</p>
+                    {renderBasicMarkdown(activeThread.body)}
+                    <div className="forum-actions">
+                        {canModerate && (
+                            <>
+                                <button className="action-btn" onClick={() => handleToggleThreadFlag('is_pinned')}>
+                                    {activeThread.is_pinned ? 'Unpin' : 'Pin'}
+                                </button>
+                                <button className="action-btn" onClick={() => handleToggleThreadFlag('is_locked')}>
+                                    {activeThread.is_locked ? <><Unlock size={14} /> Unlock</> : <><Lock size={14} /> Lock</>}
+                                </button>
+                            </>
+                        )}
+                        {(currentUser.role === 'admin' || activeThread.author_id === currentUser.id) && (
+                            <button className="delete-btn" onClick={handleDeleteThread} title="Delete Thread">
+                                <Trash2 size={16} />
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {activeThread.posts.map(post => (
+                    <div key={post.id} className="forum-post">
+                        <p className="forum-meta">
+                            {authorName(post)} ({post.author_role || 'n/a'}) &middot; {new Date(post.created_at).toLocaleString()}
+                            {(currentUser.role === 'admin' || post.author_id === currentUser.id) && (
+                                <button className="delete-btn" onClick={() => handleDeletePost(post.id)} title="Delete Reply">
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </p>
+                        {renderBasicMarkdown(post.body)}
+                    </div>
+                ))}
+
+                {activeThread.is_locked && !canModerate ? (
+                    <p>This thread is locked. No new replies can be posted.</p>
+                ) : (
+                    <form onSubmit={handleReply}>
+                        <div className="form-group">
+                            <label>Reply (supports **bold**, *italic*, `code`, - lists and [links](https://...)):</label>
+                            <textarea
+                                value={replyBody}
+                                onChange={(e) => setReplyBody(e.target.value)}
+                                rows="4"
+                                required
+                            />
+                        </div>
+                        <div className="form-actions">
+                            <button type="submit" disabled={loading}>
+                                {loading ? <Loader2 className="animate-spin" /> : 'Post Reply'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="module-forum">
+            {error && <p className="error">{error}</p>}
+            <div className="content-actions">
+                <button className="add-btn" onClick={() => setShowNewThreadForm(true)}>
+                    <PlusCircle className="icon" /> New Thread
+                </button>
+            </div>
+            {threads.length === 0 ? (
+                <p>No discussions yet. Start the first thread!</p>
+            ) : (
+                <ul className="thread-list forum-thread-list">
+                    {threads.map(thread => (
+                        <li key={thread.id} className="thread-item" onClick={() => handleOpenThread(thread.id)}>
+                            <div className="thread-subject">
+                                {thread.is_pinned ? <span className="forum-flag">Pinned</span> : null}
+                                {thread.is_locked ? <span className="forum-flag locked"><Lock size={12} /> Locked</span> : null}
+                                {thread.title}
+                            </div>
+                            <div className="thread-meta">
+                                {authorName(thread)} &middot; {thread.reply_count} {Number(thread.reply_count) === 1 ? 'reply' : 'replies'} &middot; last activity {new Date(thread.last_activity_at).toLocaleString()}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <Modal
+                title="Start a Discussion"
+                isOpen={showNewThreadForm}
+                onClose={() => {
+                    setShowNewThreadForm(false);
+                    setThreadForm({ title: '', body: '' });
+                }}
+                showOkButton={false}
+            >
+                <form onSubmit={handleCreateThread}>
+                    <div className="form-group">
+                        <label>Title:</label>
+                        <input
+                            type="text"
+                            value={threadForm.title}
+                            onChange={(e) => setThreadForm(prev => ({ ...prev, title: e.target.value }))}
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Message (supports basic markdown):</label>
+                        <textarea
+                            value={threadForm.body}
+                            onChange={(e) => setThreadForm(prev => ({ ...prev, body: e.target.value }))}
+                            rows="6"
+                            required
+                        />
+                    </div>
+                    {error && <p className="error">{error}</p>}
+                    <div className="form-actions">
+                        <button type="submit" disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : 'Post Thread'}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </div>
+    );
+}
+
+/**
+ * Shows where a learner stands on a quiz: pass mark, counted score and attempts left.
+ * @param {object} props
+ * @param {object} props.status - The quiz's user_attempt_status from the backend.
+ */
+function QuizAttemptStatus({ status }) {
+    const scoringLabel = quizScoringOptions.find(option => option.value === status.scoring)?.label || 'Best attempt';
+    return (
+        <div className="quiz-info quiz-attempt-status">
+            <span>Pass Mark: {status.pass_mark !== null ? `${status.pass_mark}%` : 'None'}</span>
+            <span>
+                Attempts: {status.attempts_used}{status.attempts_remaining !== null ? ` of ${status.attempts_used + status.attempts_remaining}` : ''}
+            </span>
+            {status.counted_score !== null && (
+                <span>
+                    Score ({scoringLabel.toLowerCase()}): {status.counted_score.toFixed(2)}%{' '}
+                    <span className={`status-badge ${status.passed ? 'active' : 'inactive'}`}>{status.passed ? 'Passed' : 'Not passed'}</span>
+                </span>
+            )}
+            {status.next_attempt_at && <span>Next attempt from: {new Date(status.next_attempt_at).toLocaleString()}</span>}
+        </div>
+    );
+}
+
+/**
+ * Form fields for a module's completion rules, shared by the lecturer and admin module forms.
+ * Learners complete a module automatically once every selected rule is met.
+ * @param {object} props
+ * @param {object} props.module - The module being edited.
+ * @param {function(Event): void} props.onChange - The module form's change handler.
+ * @param {string} props.idPrefix - Keeps checkbox ids unique between the two forms.
+ */
+function ModuleCompletionRulesFields({ module, onChange, idPrefix }) {
+    return (
+        <fieldset className="completion-rules">
+            <legend>Completion Rules</legend>
+            <div className="form-group checkbox-group">
+                <input
+                    type="checkbox"
+                    id={`${idPrefix}-requireAllContent`}
+                    name="completion_require_all_content"
+                    checked={Boolean(module.completion_require_all_content ?? true)}
+                    onChange={onChange}
+                />
+                <label htmlFor={`${idPrefix}-requireAllContent`}>All content must be completed</label>
+            </div>
+            <div className="form-group">
+                <label>Quiz Pass Mark (%, leave empty to not require passing quizzes):</label>
+                <input
+                    type="number"
+                    name="completion_quiz_pass_mark"
+                    value={module.completion_quiz_pass_mark ?? ''}
+                    onChange={onChange}
+                    min="0"
+                    max="100"
+                    step="1"
+                />
+            </div>
+            <div className="form-group checkbox-group">
+                <input
+                    type="checkbox"
+                    id={`${idPrefix}-requireGraded`}
+                    name="completion_require_graded_assignments"
+                    checked={Boolean(module.completion_require_graded_assignments)}
+                    onChange={onChange}
+                />
+                <label htmlFor={`${idPrefix}-requireGraded`}>All assignments must be graded</label>
+            </div>
+        </fieldset>
+    );
+}
+
+/**
+ * Create, list, deactivate and delete coupon codes. Used by lecturers (for their own modules)
+ * and admins (who can also create site-wide codes).
+ * @param {object} props
+ * @param {object[]} props.modules - Modules the user may attach coupons to.
+ * @param {boolean} [props.allowSiteWide] - Whether to offer the "all modules" scope.
+ */
+function CouponManager({ modules, allowSiteWide = false }) {
+    const [coupons, setCoupons] = useState([]);
+    const [couponForm, setCouponForm] = useState(() => createEmptyCouponForm(modules, allowSiteWide));
+    const [showCouponForm, setShowCouponForm] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchCoupons = useCallback(async () => {
+        try {
+            const data = await callApi('/api/coupons');
+            setCoupons(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCoupons();
+    }, [fetchCoupons]);
+
+    const handleCouponFormChange = useCallback((e) => {
+        const { name, value } = e.target;
+        setCouponForm(prev => ({ ...prev, [name]: value }));
+    }, []);
+
+    const handleCreateCoupon = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi('/api/coupons', {
+                method: 'POST',
+                body: {
+                    ...couponForm,
+                    module_id: couponForm.module_id || null,
+                    expires_at: couponForm.expires_at || null,
+                },
+            });
+            alert('Coupon created successfully!');
+            setShowCouponForm(false);
+            setCouponForm(createEmptyCouponForm(modules, allowSiteWide));
+            fetchCoupons();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [couponForm, modules, allowSiteWide, fetchCoupons]);
+
+    const handleToggleCoupon = useCallback(async (coupon) => {
+        setError(null);
+        try {
+            await callApi(`/api/coupons/${coupon.id}`, {
+                method: 'PUT',
+                body: { ...coupon, is_active: !coupon.is_active },
+            });
+            fetchCoupons();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [fetchCoupons]);
+
+    const handleDeleteCoupon = useCallback(async (couponId) => {
+        if (!window.confirm('Delete this coupon code? Past discounts stay in the revenue reports.')) return;
+        setError(null);
+        try {
+            await callApi(`/api/coupons/${couponId}`, { method: 'DELETE' });
+            fetchCoupons();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [fetchCoupons]);
+
+    return (
+        <div className="coupon-manager">
+            {error && <p className="error">{error}</p>}
+            <button className="add-btn mb-4" onClick={() => setShowCouponForm(true)}>
+                <PlusCircle className="icon" /> Create Coupon
+            </button>
+            {coupons.length === 0 ? (
+                <p>No coupon codes yet.</p>
+            ) : (
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Code</th>
+                                <th>Discount</th>
+                                <th>Applies To</th>
+                                <th>Expires</th>
+                                <th>Uses</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {coupons.map(coupon => (
+                                <tr key={coupon.id}>
+                                    <td><code>{coupon.code}</code></td>
+                                    <td>
+                                        {coupon.discount_type === 'percentage'
+                                            ? `${parseFloat(coupon.discount_value)}% off`
+                                            : `$${formatMoney(coupon.discount_value)} off`}
+                                    </td>
+                                    <td>{coupon.module_id ? coupon.module_name : 'All modules'}</td>
+                                    <td>{coupon.expires_at ? new Date(coupon.expires_at).toLocaleDateString() : 'Never'}</td>
+                                    <td>{coupon.times_used}{coupon.max_uses !== null ? ` / ${coupon.max_uses}` : ''}</td>
+                                    <td>
+                                        <span className={`status-badge ${coupon.is_active ? 'active' : 'inactive'}`}>
+                                            {coupon.is_active ? 'Active' : 'Inactive'}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        <button
+                                            className="action-btn"
+                                            onClick={() => handleToggleCoupon(coupon)}
+                                            title={coupon.is_active ? 'Deactivate Coupon' : 'Activate Coupon'}
+                                        >
+                                            {coupon.is_active ? <Lock size={16} /> : <Unlock size={16} />}
+                                        </button>
+                                        <button className="delete-btn" onClick={() => handleDeleteCoupon(coupon.id)} title="Delete Coupon">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <Modal
+                title="Create Coupon"
+                isOpen={showCouponForm}
+                onClose={() => {
+                    setShowCouponForm(false);
+                    setCouponForm(createEmptyCouponForm(modules, allowSiteWide));
+                    setError(null);
+                }}
+                showOkButton={false}
+            >
+                <form onSubmit={handleCreateCoupon}>
+                    <div className="form-group">
+                        <label>Code:</label>
+                        <input
+                            type="text"
+                            name="code"
+                            value={couponForm.code}
+                            onChange={handleCouponFormChange}
+                            placeholder="e.g. SPRING25"
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Discount Type:</label>
+                        <select name="discount_type" value={couponForm.discount_type} onChange={handleCouponFormChange}>
+                            <option value="percentage">Percentage (%)</option>
+                            <option value="fixed">Fixed amount ($)</option>
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>{couponForm.discount_type === 'percentage' ? 'Percent Off (100 = free):' : 'Amount Off ($):'}</label>
+                        <input
+                            type="number"
+                            name="discount_value"
+                            value={couponForm.discount_value}
+                            onChange={handleCouponFormChange}
+                            min="0.01"
+                            max={couponForm.discount_type === 'percentage' ? '100' : undefined}
+                            step="0.01"
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Applies To:</label>
+                        <select name="module_id" value={couponForm.module_id} onChange={handleCouponFormChange} required={!allowSiteWide}>
+                            {allowSiteWide && <option value="">All modules (site-wide)</option>}
+                            {modules.map(module => (
+                                <option key={module.id} value={module.id}>{module.module_name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Expires On (Optional):</label>
+                        <input type="date" name="expires_at" value={couponForm.expires_at} onChange={handleCouponFormChange} />
+                    </div>
+                    <div className="form-group">
+                        <label>Usage Limit (Optional):</label>
+                        <input type="number" name="max_uses" value={couponForm.max_uses} onChange={handleCouponFormChange} min="1" step="1" />
+                    </div>
+                    {error && <p className="error">{error}</p>}
+                    <div className="form-actions">
+                        <button type="submit" disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : 'Create Coupon'}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </div>
+    );
+}
+
+// --- Dashboard Components ---
+
+/**
+ * Learner Dashboard Component
+ * @param {object} props
+ * @param {object} props.currentUser - The authenticated learner user object.
+ */
+function LearnerDashboard({ currentUser }) {
+    const [enrolledModules, setEnrolledModules] = useState([]);
+    const [allPublishedModules, setAllPublishedModules] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedModuleForContent, setSelectedModuleForContent] = useState(null); // New state to view module content
+    const [moduleContent, setModuleContent] = useState([]); // Content for selected module
+    const [moduleSections, setModuleSections] = useState([]); // Sections the selected module's content is grouped into
+    const [quizAttempts, setQuizAttempts] = useState([]); // Quiz attempts for current user
+    const [currentQuiz, setCurrentQuiz] = useState(null); // Currently active quiz object (content item)
+    const [quizAnswers, setQuizAnswers] = useState({}); // Stores user's answers for the current quiz
+    const [quizResult, setQuizResult] = useState(null); // Stores quiz submission result
+    const [quizDeadline, setQuizDeadline] = useState(null); // Local time (ms) a timed attempt must be submitted by
+    const [quizQuestions, setQuizQuestions] = useState(null); // Questions of the current attempt, given when it is started
+    const [quizSecondsLeft, setQuizSecondsLeft] = useState(null);
+    const [quizTab, setQuizTab] = useState('take'); // 'take' or 'history'
+    const [reviewAttemptId, setReviewAttemptId] = useState(null); // Attempt whose review is expanded in history
+    const [showAskInstructorModal, setShowAskInstructorModal] = useState(false);
+    const [askInstructorMessage, setAskInstructorMessage] = useState('');
+    const [askInstructorSubject, setAskInstructorSubject] = useState('');
+    const [inboxRefreshKey, setInboxRefreshKey] = useState(0); // Bumped to reload the inbox after starting a thread
+    const [currentAssignment, setCurrentAssignment] = useState(null); // Assignment content item being submitted
+    const [mySubmission, setMySubmission] = useState(null); // Learner's existing submission for currentAssignment
+    const [submissionForm, setSubmissionForm] = useState({ file: null, submission_text: '' });
+    const [instructorFeedback, setInstructorFeedback] = useState([]); // Feedback lecturers have sent this learner
+    const [moduleTab, setModuleTab] = useState('content'); // 'content', 'forum' or 'grades' inside a module
+    const [checkout, setCheckout] = useState(null); // { module, providers, provider, phone_number, order } while paying for a module
+    const [checkoutLoading, setCheckoutLoading] = useState(false); // Kept separate so the dashboard doesn't swap to its loading view
+    const [checkoutError, setCheckoutError] = useState(null);
+
+
+    // Filter states for module browsing
+    const [filters, setFilters] = useState({
+        category: '',
+        difficulty: '',
+        duration_hours_max: '',
+        price_max: ''
+    });
+
+    const categories = ['Programming', 'Data Science', 'Design', 'Marketing']; // Example categories
+    const difficulties = ['Beginner', 'Intermediate', 'Advanced'];
+
+    const [certificates, setCertificates] = useState([]);
+
+
+    const fetchEnrolledModules = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const enrollments = await callApi('/api/enrollments');
+            
+            const modulesDetails = await Promise.all(
+                enrollments.map(async (enrollment) => {
+                    try {
+                        const module = await callApi(`/api/modules/${enrollment.module_id}`);
+                        const content = await callApi(`/api/modules/${enrollment.module_id}/content`);
+                        
+                        const totalContentItems = content.length;
+                        const completedContentItems = content.filter(item => item.user_completed_content).length;
+                        const progressPercentage = totalContentItems > 0 ? (completedContentItems / totalContentItems) * 100 : 0;
+
+                        return { 
+                            ...module, 
+                            enrollment_id: enrollment.id, 
+                            is_completed: enrollment.is_completed,
+                            completion_requirements: enrollment.completion_requirements || [],
+                            enrollment_date: enrollment.enrollment_date ? new Date(enrollment.enrollment_date) : null,
+                            progress_percentage: progressPercentage.toFixed(0), // Round for display
+                            total_content_items: totalContentItems,
+                            completed_content_items: completedContentItems
+                        };
+                    }
+                    catch (moduleError) {
+                        console.error(`Failed to fetch details for module ${enrollment.module_id}:`, moduleError);
+                        return null; 
+                    }
+                })
+            );
+            setEnrolledModules(modulesDetails.filter(Boolean)); 
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchAllPublishedModules = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const queryParams = new URLSearchParams();
+            if (filters.category) queryParams.append('category', filters.category);
+            if (filters.difficulty) queryParams.append('difficulty', filters.difficulty);
+            if (filters.duration_hours_max) queryParams.append('duration_hours_max', filters.duration_hours_max);
+            if (filters.price_max) queryParams.append('price_max', filters.price_max);
+
+            const data = await callApi(`/api/modules?${queryParams.toString()}`); 
+            setAllPublishedModules(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    const fetchInstructorFeedback = useCallback(async () => {
+        try {
+            const data = await callApi('/api/feedback/me');
+            setInstructorFeedback(data);
+        } catch (err) {
+            console.error('Failed to fetch instructor feedback:', err);
+        }
+    }, []);
+
+    const fetchCertificates = useCallback(async () => {
+        try {
+            const data = await callApi('/api/certificates');
+            setCertificates(data);
+        } catch (err) {
+            console.error('Failed to fetch certificates:', err);
+        }
+    }, []);
+
+    // Fetch enrolled modules on initial load and whenever filters change
+    useEffect(() => {
+        fetchEnrolledModules();
+        fetchAllPublishedModules();
+    }, [fetchEnrolledModules, fetchAllPublishedModules]);
+
+    useEffect(() => {
+        fetchInstructorFeedback();
+        fetchCertificates();
+    }, [fetchInstructorFeedback, fetchCertificates]);
+
+    const handleFilterChange = useCallback((e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    }, []);
+
+
+    const handleEnroll = async (moduleId, modulePrice) => {
+        // Ensure price is a number before comparison
+        const priceValue = parseFloat(modulePrice);
+        if (!isNaN(priceValue) && priceValue > 0) {
+            // Paid modules go through checkout; the enrollment is created once the payment is confirmed
+            setCheckoutError(null);
+            try {
+                const providers = await callApi('/api/payments/providers');
+                setCheckout({
+                    module: allPublishedModules.find(module => module.id === moduleId),
+                    providers,
+                    provider: providers.length > 0 ? providers[0].name : '',
+                    phone_number: '',
+                    coupon_code: '',
+                    coupon: null, // Validated coupon preview from the backend
+                    order: null,
+                });
+            } catch (err) {
+                setError(err.message);
+            }
+            return;
+        }
+
+        setLoading(true); 
         setError(null);
         try {
             await callApi('/api/enroll', {
@@ -626,25 +3229,109 @@ function LearnerDashboard({ currentUser }) {
         }
     };
 
-    const markModuleComplete = async (enrollmentId) => {
-        setLoading(true);
-        setError(null);
+    const handleCloseCheckout = useCallback(() => {
+        setCheckout(null);
+        setCheckoutError(null);
+    }, []);
+
+    const refreshCheckoutOrder = useCallback(async (reference) => {
         try {
-            await callApi(`/api/enrollments/${enrollmentId}/complete`, { method: 'PUT' });
-            alert('Module marked as complete!');
-            fetchEnrolledModules(); 
+            const order = await callApi(`/api/checkout/orders/${reference}`);
+            setCheckout(prev => (prev && prev.order ? { ...prev, order: { ...prev.order, ...order } } : prev));
+            if (order.status === 'paid') {
+                alert('Payment received. You are now enrolled!');
+                setCheckout(null);
+                fetchEnrolledModules();
+                fetchAllPublishedModules();
+            }
         } catch (err) {
-            setError(err.message);
+            setCheckoutError(err.message);
+        }
+    }, [fetchEnrolledModules, fetchAllPublishedModules]);
+
+    const handleApplyCoupon = useCallback(async () => {
+        if (!checkout.coupon_code.trim()) return;
+        setCheckoutLoading(true);
+        setCheckoutError(null);
+        try {
+            const coupon = await callApi('/api/coupons/validate', {
+                method: 'POST',
+                body: { code: checkout.coupon_code, module_id: checkout.module.id },
+            });
+            setCheckout(prev => ({ ...prev, coupon }));
+        } catch (err) {
+            setCheckout(prev => ({ ...prev, coupon: null }));
+            setCheckoutError(err.message);
         } finally {
-            setLoading(false);
+            setCheckoutLoading(false);
         }
-    };
+    }, [checkout]);
+
+    const handleStartCheckout = useCallback(async (e) => {
+        e.preventDefault();
+        setCheckoutLoading(true);
+        setCheckoutError(null);
+        try {
+            if (checkout.coupon && checkout.coupon.amount === 0) {
+                // A 100%-off code enrolls directly, no payment needed
+                await callApi('/api/enroll', {
+                    method: 'POST',
+                    body: { module_id: checkout.module.id, coupon_code: checkout.coupon.code },
+                });
+                alert('Coupon applied. You are now enrolled!');
+                setCheckout(null);
+                fetchEnrolledModules();
+                fetchAllPublishedModules();
+                return;
+            }
+            const order = await callApi('/api/checkout', {
+                method: 'POST',
+                body: {
+                    module_id: checkout.module.id,
+                    provider: checkout.provider,
+                    phone_number: checkout.phone_number || undefined,
+                    coupon_code: checkout.coupon ? checkout.coupon.code : undefined,
+                },
+            });
+            setCheckout(prev => ({ ...prev, order }));
+        } catch (err) {
+            setCheckoutError(err.message);
+        } finally {
+            setCheckoutLoading(false);
+        }
+    }, [checkout, fetchEnrolledModules, fetchAllPublishedModules]);
+
+    // Mock gateway only: pay with the test card (the server decides the outcome), then pick up the webhook's result
+    const handleMockGatewayPayment = useCallback(async () => {
+        setCheckoutLoading(true);
+        setCheckoutError(null);
+        try {
+            await callApi(`/api/payments/mock-gateway/${checkout.order.reference}`, { method: 'POST' });
+            await refreshCheckoutOrder(checkout.order.reference);
+        } catch (err) {
+            setCheckoutError(err.message);
+        } finally {
+            setCheckoutLoading(false);
+        }
+    }, [checkout, refreshCheckoutOrder]);
+
+    // Poll while a payment is waiting for the provider's webhook (e.g. approval on the learner's phone)
+    const pendingOrderReference = checkout && checkout.order && checkout.order.status === 'pending' && checkout.order.next_action && checkout.order.next_action.type !== 'mock_gateway'
+        ? checkout.order.reference
+        : null;
+    useEffect(() => {
+        if (!pendingOrderReference) return undefined;
+        const interval = setInterval(() => refreshCheckoutOrder(pendingOrderReference), 5000);
+        return () => clearInterval(interval);
+    }, [pendingOrderReference, refreshCheckoutOrder]);
 
     const handleViewModuleContent = useCallback(async (module) => {
         setSelectedModuleForContent(module);
         setLoading(true);
         setError(null);
         try {
+            // Sections first: loading them files content from before sections existed into a default one
+            const sections = await callApi(`/api/modules/${module.id}/sections`);
             const content = await callApi(`/api/modules/${module.id}/content`);
             const parsedContent = content.map(item => ({
                 ...item,
@@ -652,6 +3339,7 @@ function LearnerDashboard({ currentUser }) {
                             ? JSON.parse(item.quiz_data) 
                             : item.quiz_data
             }));
+            setModuleSections(sections);
             setModuleContent(parsedContent);
         } catch (err) {
             setError(err.message);
@@ -664,24 +3352,32 @@ function LearnerDashboard({ currentUser }) {
         setLoading(true);
         setError(null);
         try {
-            await callApi(`/api/content/${contentId}/complete`, { method: 'POST' });
-            alert('Content marked as completed!');
+            const result = await callApi(`/api/content/${contentId}/complete`, { method: 'POST' });
+            alert(result?.module_completed
+                ? 'Content marked as completed! You have completed this module - your certificate is ready under My Certificates.'
+                : 'Content marked as completed!');
             // Re-fetch content to update its status AND refresh enrolled modules for overall progress update
             handleViewModuleContent(selectedModuleForContent); 
             fetchEnrolledModules();
+            if (result?.module_completed) {
+                fetchCertificates();
+            }
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, [selectedModuleForContent, handleViewModuleContent, fetchEnrolledModules]);
+    }, [selectedModuleForContent, handleViewModuleContent, fetchEnrolledModules, fetchCertificates]);
 
 
     const handleTakeQuiz = useCallback(async (quizContent) => {
         setCurrentQuiz(quizContent);
         setQuizAnswers({}); // Reset answers
         setQuizResult(null); // Reset result
+        setQuizDeadline(null);
+        setQuizQuestions(null);
         setQuizTab('take'); // Ensure on 'take' tab
+        setReviewAttemptId(null);
         setLoading(true);
         setError(null);
         try {
@@ -694,22 +3390,44 @@ function LearnerDashboard({ currentUser }) {
         }
     }, []);
 
-    const handleQuizAnswerChange = useCallback((questionIndex, optionIndex) => {
+    const handleQuizAnswerChange = useCallback((questionIndex, answer) => {
         setQuizAnswers(prev => ({
             ...prev,
-            [questionIndex]: optionIndex
+            [questionIndex]: answer
         }));
     }, []);
 
-    const handleSubmitQuiz = useCallback(async (e) => {
-        e.preventDefault();
+    // Starts (or resumes) an attempt; the server decides the questions and any deadline
+    const handleStartQuiz = useCallback(async () => {
         setLoading(true);
         setError(null);
+        try {
+            const started = await callApi(`/api/quizzes/${currentQuiz.id}/start`, { method: 'POST' });
+            setQuizQuestions(started.questions);
+            if (started.seconds_remaining !== null) {
+                setQuizDeadline(Date.now() + started.seconds_remaining * 1000);
+                setQuizSecondsLeft(started.seconds_remaining);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [currentQuiz]);
+
+    // autoSubmit: sent by the countdown when time runs out, with whatever has been answered so far
+    const handleSubmitQuiz = useCallback(async (e, { autoSubmit = false } = {}) => {
+        if (e) e.preventDefault();
+        if (!currentQuiz || !quizQuestions) return;
 
-        if (!currentQuiz) return;
+        setLoading(true);
+        setError(null);
 
-        const submittedAnswersArray = Object.keys(currentQuiz.quiz_data).map(qIndex => quizAnswers[qIndex]);
-        if (submittedAnswersArray.length !== currentQuiz.quiz_data.length || submittedAnswersArray.some(ans => ans === undefined)) {
+        // Untouched ordering questions are submitted in the order they were shown
+        const submittedAnswersArray = quizQuestions.map((question, qIndex) => (
+            question.type === 'ordering' && quizAnswers[qIndex] === undefined ? question.order_options : quizAnswers[qIndex]
+        ));
+        if (!autoSubmit && quizQuestions.some((question, qIndex) => !isQuizQuestionAnswered(question, submittedAnswersArray[qIndex]))) {
             alert('Please answer all questions before submitting.');
             setLoading(false);
             return;
@@ -718,38 +3436,159 @@ function LearnerDashboard({ currentUser }) {
         try {
             const result = await callApi(`/api/quizzes/${currentQuiz.id}/submit`, {
                 method: 'POST',
-                body: { answers: submittedAnswersArray }
+                body: { answers: submittedAnswersArray.map(ans => (ans === undefined ? null : ans)) }
             });
             setQuizResult(result);
-            alert(`Quiz Submitted! Your score: ${result.score}%`);
-            // Re-fetch attempts to update history and mark quiz content as complete
+            setQuizDeadline(null);
+            alert(result.module_completed
+                ? `Quiz Submitted! Your score: ${result.score.toFixed(2)}%. You have completed this module - your certificate is ready under My Certificates.`
+                : `Quiz Submitted! Your score: ${result.score.toFixed(2)}%`);
+            if (result.module_completed) {
+                fetchCertificates();
+            }
+            setCurrentQuiz(prev => ({ ...prev, user_attempt_status: result.attempt_status }));
+            // Re-fetch attempts to update history
             const attempts = await callApi(`/api/quizzes/${currentQuiz.id}/attempts`);
             setQuizAttempts(attempts);
-            // After submitting quiz, also mark its content as complete
-            handleMarkContentComplete(currentQuiz.id); // This will re-fetch current module content and overall enrolled modules
+            // The backend marks the quiz complete once it is passed; refresh content and overall progress
+            handleViewModuleContent(selectedModuleForContent);
+            fetchEnrolledModules();
         } catch (err) {
             setError(err.message);
+            if (currentQuiz.time_limit_minutes) {
+                // A late timed attempt is recorded as expired; show the updated attempts
+                setQuizDeadline(null);
+                handleViewModuleContent(selectedModuleForContent);
+            }
         } finally {
             setLoading(false);
         }
-    }, [currentQuiz, quizAnswers, handleMarkContentComplete]);
+    }, [currentQuiz, quizQuestions, quizAnswers, selectedModuleForContent, handleViewModuleContent, fetchEnrolledModules, fetchCertificates]);
+
+    // Count down a running timed attempt and submit it automatically when time runs out
+    useEffect(() => {
+        if (!quizDeadline) return undefined;
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.round((quizDeadline - Date.now()) / 1000));
+            setQuizSecondsLeft(secondsLeft);
+            if (secondsLeft === 0) {
+                setQuizDeadline(null);
+                handleSubmitQuiz(null, { autoSubmit: true });
+            }
+        };
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [quizDeadline, handleSubmitQuiz]);
+
+    const handleCloseQuiz = useCallback(() => {
+        if (quizDeadline && !window.confirm('The timer keeps running while the quiz is closed. Close it anyway?')) return;
+        setCurrentQuiz(null);
+        setQuizAnswers({});
+        setQuizResult(null);
+        setQuizAttempts([]);
+        setQuizDeadline(null);
+        setQuizQuestions(null);
+    }, [quizDeadline]);
 
     const handleRetakeQuiz = useCallback(() => {
         setQuizAnswers({});
         setQuizResult(null);
         setQuizTab('take');
+        // Each new attempt has to be started again
+        setQuizQuestions(null);
+    }, []);
+
+    const handleOpenAssignment = useCallback(async (assignmentContent) => {
+        setCurrentAssignment(assignmentContent);
+        setSubmissionForm({ file: null, submission_text: '' });
+        setMySubmission(null);
+        setError(null);
+        try {
+            const submission = await callApi(`/api/assignments/${assignmentContent.id}/submissions/me`);
+            setMySubmission(submission);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    const handleCloseAssignment = useCallback(() => {
+        setCurrentAssignment(null);
+        setMySubmission(null);
+        setSubmissionForm({ file: null, submission_text: '' });
     }, []);
 
-    const handleAskInstructor = useCallback((instructorId) => {
+    const handleSubmitAssignment = useCallback(async (e) => {
+        e.preventDefault();
+        if (!currentAssignment) return;
+        if (!submissionForm.file && !submissionForm.submission_text.trim()) {
+            alert('Please attach a file or enter a text answer.');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        try {
+            const formData = new FormData();
+            if (submissionForm.file) {
+                formData.append('submissionFile', submissionForm.file);
+            }
+            if (submissionForm.submission_text.trim()) {
+                formData.append('submission_text', submissionForm.submission_text);
+            }
+
+            const result = await callApi(`/api/assignments/${currentAssignment.id}/submissions`, {
+                method: 'POST',
+                body: formData,
+            });
+            alert(result.is_late ? `${result.message} (submitted late)` : result.message);
+            handleCloseAssignment();
+            // Refresh content so the submission status shows up in the list
+            handleViewModuleContent(selectedModuleForContent);
+            fetchEnrolledModules();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [currentAssignment, submissionForm, selectedModuleForContent, handleCloseAssignment, handleViewModuleContent, fetchEnrolledModules]);
+
+    const handleAskInstructor = useCallback((content) => {
+        setAskInstructorSubject(content ? `Question about "${content.title}"` : '');
         setShowAskInstructorModal(true);
     }, []);
 
-    const handleSendInstructorMessage = useCallback(() => {
-        // This is a placeholder for sending a message
-        alert(`Message "${askInstructorMessage}" sent to instructor. (Feature not fully implemented)`);
+    const handleCloseAskInstructor = useCallback(() => {
         setShowAskInstructorModal(false);
+        setAskInstructorSubject('');
         setAskInstructorMessage('');
-    }, [askInstructorMessage]);
+    }, []);
+
+    const handleSendInstructorMessage = useCallback(async () => {
+        if (!askInstructorSubject.trim() || !askInstructorMessage.trim()) {
+            setError('Please enter a subject and a message.');
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi('/api/messages/threads', {
+                method: 'POST',
+                body: {
+                    module_id: selectedModuleForContent.id,
+                    subject: askInstructorSubject,
+                    body: askInstructorMessage
+                },
+            });
+            alert('Message sent to instructor. Replies will appear in your Messages inbox.');
+            handleCloseAskInstructor();
+            setInboxRefreshKey(prev => prev + 1);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [askInstructorSubject, askInstructorMessage, selectedModuleForContent, handleCloseAskInstructor]);
 
 
     const nonEnrolledPublishedModules = allPublishedModules.filter(module => 
@@ -766,9 +3605,11 @@ function LearnerDashboard({ currentUser }) {
                     <button className="back-btn" onClick={() => {
                         setSelectedModuleForContent(null);
                         setModuleContent([]);
+                        setModuleSections([]);
                         setCurrentQuiz(null);
                         setQuizResult(null);
                         setQuizAttempts([]);
+                        setModuleTab('content');
                         setError(null);
                     }}>
                         <ChevronLeft className="w-5 h-5" /> Back to My Courses
@@ -776,14 +3617,34 @@ function LearnerDashboard({ currentUser }) {
                     <h3>{selectedModuleForContent.module_name} Content</h3>
                     <p>Total content items: {selectedModuleForContent.total_content_items}, Completed: {selectedModuleForContent.completed_content_items}</p>
                 </div>
+                <div className="lecturer-tabs">
+                    <button className={`tab-btn ${moduleTab === 'content' ? 'active' : ''}`} onClick={() => setModuleTab('content')}>
+                        <BookOpen className="icon" /> Content
+                    </button>
+                    <button className={`tab-btn ${moduleTab === 'forum' ? 'active' : ''}`} onClick={() => setModuleTab('forum')}>
+                        <MessageSquare className="icon" /> Discussion
+                    </button>
+                    <button className={`tab-btn ${moduleTab === 'grades' ? 'active' : ''}`} onClick={() => setModuleTab('grades')}>
+                        <GraduationCap className="icon" /> My Grades
+                    </button>
+                </div>
                 {error && <p className="error">{error}</p>}
+                {moduleTab === 'forum' ? (
+                    <ModuleForum moduleId={selectedModuleForContent.id} currentUser={currentUser} />
+                ) : moduleTab === 'grades' ? (
+                    <MyGrades moduleId={selectedModuleForContent.id} />
+                ) : (
+                <>
                 {loading && <p>Loading module content...</p>}
                 
                 {!loading && moduleContent.length === 0 ? (
                     <p>No content available for this module yet.</p>
                 ) : (
-                    <div className="content-list">
-                        {moduleContent.map(content => (
+                    <ModuleSectionList
+                        sections={moduleSections}
+                        content={moduleContent}
+                        collapsible
+                        renderItem={(content) => (
                             <div key={content.id} className="content-item learner-content-item">
                                 <div className="content-info">
                                     <span className="content-type">{content.content_type}</span>
@@ -792,14 +3653,31 @@ function LearnerDashboard({ currentUser }) {
                                     {content.file_path && (
                                         <p>File: <a href={`${API_BASE_URL}${content.file_path}`} target="_blank" rel="noopener noreferrer">{content.file_path.split('/').pop()}</a></p>
                                     )}
-                                    {content.user_completed_content && (
+                                    {content.content_type === 'Quizzes' && content.user_attempt_status && (
+                                        <QuizAttemptStatus status={content.user_attempt_status} />
+                                    )}
+                                    {content.content_type === 'Assignments' && (
+                                        <p><Calendar size={14} /> Due: {formatDueDate(content.due_date)}</p>
+                                    )}
+                                    {content.content_type === 'Assignments' && content.user_graded_at && (
+                                        <p><Award size={14} /> Grade: {parseFloat(content.user_submission_score)}{content.rubric_id ? ' pts' : ` / ${parseFloat(content.max_score)}`}</p>
+                                    )}
+                                    {content.content_type === 'Assignments' && content.user_submitted_at ? (
+                                        <span className={`status-badge ${content.user_submission_is_late ? 'inactive' : 'active'}`}>
+                                            <CheckCircle size={14} /> Submitted{content.user_submission_is_late ? ' (late)' : ''}
+                                        </span>
+                                    ) : content.user_completed_content && (
                                         <span className="status-badge active"><CheckCircle size={14} /> Completed</span>
                                     )}
                                 </div>
                                 <div className="content-actions">
                                     {content.content_type === 'Quizzes' ? (
                                         <button className="action-btn" onClick={() => handleTakeQuiz(content)}>
-                                            <ListChecks size={18} /> {quizAttempts.length > 0 ? 'Retake Quiz' : 'Take Quiz'}
+                                            <ListChecks size={18} /> {content.user_attempt_status?.attempts_used > 0 ? 'Open Quiz' : 'Take Quiz'}
+                                        </button>
+                                    ) : content.content_type === 'Assignments' ? (
+                                        <button className="action-btn" onClick={() => handleOpenAssignment(content)}>
+                                            <FileText size={18} /> {content.user_submitted_at ? 'View / Resubmit' : 'Submit Assignment'}
                                         </button>
                                     ) : (
                                         !content.user_completed_content && (
@@ -808,25 +3686,22 @@ function LearnerDashboard({ currentUser }) {
                                             </button>
                                         )
                                     )}
-                                    <button className="action-btn" onClick={() => handleAskInstructor(selectedModuleForContent.instructor_id)}>
+                                    <button className="action-btn" onClick={() => handleAskInstructor(content)}>
                                         <MessageSquare size={18} /> Ask Instructor
                                     </button>
                                 </div>
                             </div>
-                        ))}
-                    </div>
+                        )}
+                    />
+                )}
+                </>
                 )}
 
                 {/* Quiz Modal/View */}
                 <Modal 
                     title={currentQuiz ? `Quiz: ${currentQuiz.title}` : 'Quiz'}
                     isOpen={currentQuiz !== null} 
-                    onClose={() => {
-                        setCurrentQuiz(null);
-                        setQuizAnswers({});
-                        setQuizResult(null);
-                        setQuizAttempts([]);
-                    }}
+                    onClose={handleCloseQuiz}
                     showOkButton={false}
                 >
                     {currentQuiz && (
@@ -836,50 +3711,75 @@ function LearnerDashboard({ currentUser }) {
                                 <button className={`tab-btn ${quizTab === 'history' ? 'active' : ''}`} onClick={() => setQuizTab('history')}>Quiz History ({quizAttempts.length})</button>
                             </div>
 
-                            {quizTab === 'take' && (
+                            {currentQuiz.user_attempt_status && <QuizAttemptStatus status={currentQuiz.user_attempt_status} />}
+
+                            {quizTab === 'take' && !quizResult && currentQuiz.user_attempt_status && !currentQuiz.user_attempt_status.can_attempt && (
+                                <p className="error">
+                                    {currentQuiz.user_attempt_status.attempts_remaining === 0
+                                        ? 'You have used all your attempts for this quiz.'
+                                        : `You can try this quiz again after ${new Date(currentQuiz.user_attempt_status.next_attempt_at).toLocaleString()}.`}
+                                </p>
+                            )}
+
+                            {/* Quizzes show their questions only once the attempt has been started */}
+                            {quizTab === 'take' && !quizQuestions && !quizResult &&
+                                (!currentQuiz.user_attempt_status || currentQuiz.user_attempt_status.can_attempt) && (
+                                <div className="timed-quiz-start">
+                                    {currentQuiz.time_limit_minutes ? (
+                                        <>
+                                            <p><Clock size={18} /> This quiz has a time limit of <strong>{currentQuiz.time_limit_minutes} minutes</strong>.</p>
+                                            <p>The timer starts on the server when you begin and keeps running if you close the quiz. Your answers are submitted automatically when time runs out.</p>
+                                        </>
+                                    ) : currentQuiz.quiz_draw_rules || currentQuiz.shuffle_questions || currentQuiz.shuffle_options ? (
+                                        <p>Each attempt at this quiz gets its own selection and order of questions. Closing the quiz keeps your attempt's questions until you submit.</p>
+                                    ) : (
+                                        <p>Closing the quiz keeps your attempt open until you submit.</p>
+                                    )}
+                                    <button type="button" className="action-btn" onClick={handleStartQuiz} disabled={loading}>
+                                        {loading ? <Loader2 className="animate-spin" /> : 'Start Quiz'}
+                                    </button>
+                                    {error && <p className="error">{error}</p>}
+                                </div>
+                            )}
+
+                            {quizTab === 'take' && quizDeadline && (
+                                <p className={`quiz-countdown ${quizSecondsLeft <= 60 ? 'ending' : ''}`}>
+                                    <Clock size={18} /> Time left: {formatCountdown(quizSecondsLeft || 0)}
+                                </p>
+                            )}
+
+                            {quizTab === 'take' && quizQuestions && (quizResult || !currentQuiz.user_attempt_status || currentQuiz.user_attempt_status.can_attempt) && (
                                 <form onSubmit={handleSubmitQuiz}>
-                                    {currentQuiz.quiz_data && currentQuiz.quiz_data.map((q, qIndex) => (
+                                    {quizQuestions.map((q, qIndex) => (
                                         <div key={qIndex} className="quiz-question">
                                             <p className="question-text"><strong>{qIndex + 1}. {q.question_text}</strong></p>
-                                            <div className="options-grid">
-                                                {q.options.map((option, optIndex) => (
-                                                    <label key={optIndex} className="quiz-option">
-                                                        <input
-                                                            type="radio"
-                                                            name={`question-${qIndex}`}
-                                                            value={optIndex}
-                                                            checked={quizAnswers[qIndex] === optIndex}
-                                                            onChange={() => handleQuizAnswerChange(qIndex, optIndex)}
-                                                            disabled={loading || quizResult} // Disable if loading or result shown
-                                                        />
-                                                        {option}
-                                                    </label>
-                                                ))}
-                                            </div>
+                                            <QuizQuestionInput
+                                                question={q}
+                                                value={quizAnswers[qIndex]}
+                                                onChange={(answer) => handleQuizAnswerChange(qIndex, answer)}
+                                                name={`question-${qIndex}`}
+                                                disabled={Boolean(loading || quizResult)} // Disable if loading or result shown
+                                            />
                                         </div>
                                     ))}
                                     {quizResult && (
-                                        <div className={`quiz-result ${quizResult.score >= 70 ? 'pass' : 'fail'}`}>
+                                        <div className={`quiz-result ${quizResult.passed ? 'pass' : 'fail'}`}>
                                             <p><strong>Your Score: {quizResult.score.toFixed(2)}%</strong></p>
-                                            <p>{quizResult.score >= 70 ? <><CheckCircle size={18} color="green" /> Passed!</> : <><XCircle size={18} color="red" /> Failed.</>}</p>
+                                            <p>{quizResult.passed ? <><CheckCircle size={18} color="green" /> Passed!</> : <><XCircle size={18} color="red" /> Not passed yet.</>}</p>
                                             <p>Correct: {quizResult.correctAnswers} / {quizResult.totalQuestions}</p>
                                         </div>
                                     )}
+                                    {quizResult && quizResult.review && <QuizAttemptReview review={quizResult.review} />}
                                     <div className="form-actions mt-4">
                                         <button type="submit" disabled={loading || quizResult}>
                                             {loading ? <Loader2 className="animate-spin" /> : 'Submit Quiz'}
                                         </button>
-                                        {quizResult && (
+                                        {quizResult && quizResult.attempt_status.can_attempt && (
                                             <button type="button" className="action-btn" onClick={handleRetakeQuiz}>
                                                 Retake Quiz
                                             </button>
                                         )}
-                                        <button type="button" className="cancel-btn" onClick={() => {
-                                            setCurrentQuiz(null);
-                                            setQuizAnswers({});
-                                            setQuizResult(null);
-                                            setQuizAttempts([]);
-                                        }}>
+                                        <button type="button" className="cancel-btn" onClick={handleCloseQuiz}>
                                             Close
                                         </button>
                                     </div>
@@ -894,16 +3794,30 @@ function LearnerDashboard({ currentUser }) {
                                     ) : (
                                         <div className="history-list">
                                             {quizAttempts.map((attempt, index) => (
-                                                <div key={attempt.id} className="history-item">
-                                                    <span>Attempt {quizAttempts.length - index}: </span>
-                                                    <span className={`score-badge ${attempt.score >= 70 ? 'pass' : 'fail'}`}>
-                                                        {attempt.score.toFixed(2)}%
-                                                    </span>
-                                                    <span className="attempt-date">
-                                                        on {new Date(attempt.attempt_date).toLocaleString()}
-                                                    </span>
-                                                    {/* Could add a "View Details" button here to show submitted answers */}
-                                                </div>
+                                                <React.Fragment key={attempt.id}>
+                                                    <div className="history-item">
+                                                        <span>Attempt {quizAttempts.length - index}: </span>
+                                                        <span className={`score-badge ${currentQuiz.pass_mark === null || parseFloat(attempt.score) >= parseFloat(currentQuiz.pass_mark) ? 'pass' : 'fail'}`}>
+                                                            {attempt.score.toFixed(2)}%
+                                                        </span>
+                                                        <span className="attempt-date">
+                                                            on {new Date(attempt.attempt_date).toLocaleString()}
+                                                        </span>
+                                                        {attempt.is_expired ? <span className="status-badge inactive">Time ran out</span> : null}
+                                                        {attempt.review ? (
+                                                            <button
+                                                                type="button"
+                                                                className="action-btn"
+                                                                onClick={() => setReviewAttemptId(reviewAttemptId === attempt.id ? null : attempt.id)}
+                                                            >
+                                                                <Eye size={16} /> {reviewAttemptId === attempt.id ? 'Hide Review' : 'Review'}
+                                                            </button>
+                                                        ) : (
+                                                            <span className="attempt-date">Answers not yet released</span>
+                                                        )}
+                                                    </div>
+                                                    {reviewAttemptId === attempt.id && attempt.review && <QuizAttemptReview review={attempt.review} />}
+                                                </React.Fragment>
                                             ))}
                                         </div>
                                     )}
@@ -913,13 +3827,124 @@ function LearnerDashboard({ currentUser }) {
                     )}
                 </Modal>
 
+                {/* Submit Assignment Panel */}
+                <Modal
+                    title={currentAssignment ? `Submit Assignment: ${currentAssignment.title}` : 'Submit Assignment'}
+                    isOpen={currentAssignment !== null}
+                    onClose={handleCloseAssignment}
+                    showOkButton={false}
+                >
+                    {currentAssignment && (
+                        <div className="assignment-panel">
+                            <p><Calendar size={14} /> Due: {formatDueDate(currentAssignment.due_date)}</p>
+                            {currentAssignment.due_date && new Date(currentAssignment.due_date) < new Date() && (
+                                <p className="error">
+                                    The due date has passed. {currentAssignment.allow_late_submissions ? 'Submissions will be marked as late.' : 'Late submissions are not accepted.'}
+                                </p>
+                            )}
+                            {mySubmission && (
+                                <div className="submission-summary">
+                                    <h5>Your Submission</h5>
+                                    <p>
+                                        Submitted on {new Date(mySubmission.submitted_at).toLocaleString()}
+                                        {mySubmission.submission_count > 1 && ` (submission ${mySubmission.submission_count})`}
+                                        {' '}<span className={`status-badge ${mySubmission.is_late ? 'inactive' : 'active'}`}>{mySubmission.is_late ? 'Late' : 'On time'}</span>
+                                    </p>
+                                    {mySubmission.file_path && (
+                                        <p>File: <a href={`${API_BASE_URL}/api/submissions/${mySubmission.id}/file`} target="_blank" rel="noopener noreferrer">{submissionFileName(mySubmission.file_path)}</a></p>
+                                    )}
+                                    {mySubmission.submission_text && <p>{mySubmission.submission_text}</p>}
+                                </div>
+                            )}
+                            {mySubmission && mySubmission.graded_at && (
+                                <div className="submission-summary graded">
+                                    <h5>Grade</h5>
+                                    <p>
+                                        <strong>
+                                            {parseFloat(mySubmission.score)} / {mySubmission.rubric_criteria
+                                                ? mySubmission.rubric_criteria.reduce((total, c) => total + Math.max(...c.levels.map(level => parseFloat(level.points))), 0)
+                                                : parseFloat(mySubmission.max_score)}
+                                        </strong>
+                                        {' '}(graded on {new Date(mySubmission.graded_at).toLocaleString()})
+                                    </p>
+                                    {mySubmission.rubric_criteria && mySubmission.rubric_scores && (
+                                        <table className="learner-table rubric-table">
+                                            <thead>
+                                                <tr><th>Criterion</th><th>Level</th><th>Points</th></tr>
+                                            </thead>
+                                            <tbody>
+                                                {mySubmission.rubric_criteria.map((c, cIndex) => {
+                                                    const level = c.levels[mySubmission.rubric_scores[cIndex]];
+                                                    return (
+                                                        <tr key={cIndex}>
+                                                            <td>{c.criterion}</td>
+                                                            <td>{level ? level.label : '-'}</td>
+                                                            <td>{level ? level.points : '-'}</td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                    {mySubmission.feedback && <p><MessageSquare size={14} /> {mySubmission.feedback}</p>}
+                                    {mySubmission.returned_file_path && (
+                                        <p>Returned file: <a href={`${API_BASE_URL}/api/submissions/${mySubmission.id}/file?returned=1`} target="_blank" rel="noopener noreferrer">{submissionFileName(mySubmission.returned_file_path)}</a></p>
+                                    )}
+                                </div>
+                            )}
+                            {mySubmission && mySubmission.graded_at ? (
+                                <div className="form-actions">
+                                    <button type="button" className="cancel-btn" onClick={handleCloseAssignment}>Close</button>
+                                </div>
+                            ) : (
+                            <form onSubmit={handleSubmitAssignment}>
+                                <div className="form-group">
+                                    <label>File:</label>
+                                    <input
+                                        type="file"
+                                        name="submissionFile"
+                                        onChange={(e) => setSubmissionForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Text Answer (Optional):</label>
+                                    <textarea
+                                        name="submission_text"
+                                        value={submissionForm.submission_text}
+                                        onChange={(e) => setSubmissionForm(prev => ({ ...prev, submission_text: e.target.value }))}
+                                        rows="4"
+                                    />
+                                </div>
+                                {mySubmission && <p className="text-sm text-gray-500">Resubmitting replaces your previous submission.</p>}
+                                {error && <p className="error">{error}</p>}
+                                <div className="form-actions">
+                                    <button type="button" className="cancel-btn" onClick={handleCloseAssignment}>Cancel</button>
+                                    <button type="submit" disabled={loading}>
+                                        {loading ? <Loader2 className="animate-spin" /> : (mySubmission ? 'Resubmit' : 'Submit')}
+                                    </button>
+                                </div>
+                            </form>
+                            )}
+                        </div>
+                    )}
+                </Modal>
+
                 {/* Ask Instructor Modal */}
                 <Modal
                     title="Ask Instructor a Question"
                     isOpen={showAskInstructorModal}
-                    onClose={() => setShowAskInstructorModal(false)}
+                    onClose={handleCloseAskInstructor}
                     showOkButton={false}
                 >
+                    <div className="form-group">
+                        <label>Subject:</label>
+                        <input
+                            type="text"
+                            value={askInstructorSubject}
+                            onChange={(e) => setAskInstructorSubject(e.target.value)}
+                            required
+                        />
+                    </div>
                     <p>Enter your question for the instructor:</p>
                     <textarea
                         value={askInstructorMessage}
@@ -928,9 +3953,12 @@ function LearnerDashboard({ currentUser }) {
                         placeholder="Type your question here..."
                         className="w-full p-2 border rounded-md"
                     ></textarea>
+                    {error && <p className="error">{error}</p>}
                     <div className="form-actions mt-4">
-                        <button className="submit-btn" onClick={handleSendInstructorMessage}>Send Message</button>
-                        <button className="cancel-btn" onClick={() => setShowAskInstructorModal(false)}>Cancel</button>
+                        <button className="submit-btn" onClick={handleSendInstructorMessage} disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : 'Send Message'}
+                        </button>
+                        <button className="cancel-btn" onClick={handleCloseAskInstructor}>Cancel</button>
                     </div>
                 </Modal>
             </div>
@@ -970,16 +3998,18 @@ function LearnerDashboard({ currentUser }) {
                                     <button className="view-btn" onClick={() => handleViewModuleContent(module)}>
                                         <BookOpen size={18} /> View Course
                                     </button>
-                                    {!module.is_completed && (module.progress_percentage === "100" ? ( // Check if all content is done
-                                        <button className="action-btn" onClick={() => markModuleComplete(module.enrollment_id)}>
-                                            <CheckCircle size={18} /> Mark Course Complete
-                                        </button>
-                                    ) : (
-                                        <button className="action-btn-disabled" disabled>
-                                            <ListChecks size={18} /> Complete All Content
-                                        </button>
-                                    ))}
                                 </div>
+                                {/* Completion is decided by the module's rules; show what is still missing */}
+                                {!module.is_completed && module.completion_requirements.length > 0 && (
+                                    <ul className="completion-requirements">
+                                        {module.completion_requirements.map(requirement => (
+                                            <li key={requirement.key} className={requirement.met ? 'met' : ''}>
+                                                {requirement.met ? <CheckCircle size={14} /> : <ListChecks size={14} />}
+                                                {' '}{requirement.label} <span>({requirement.detail})</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
                             </div>
                         ))}
                     </div>
@@ -989,18 +4019,62 @@ function LearnerDashboard({ currentUser }) {
             {/* My Certificates Section */}
             <div className="section-card mt-8">
                 <h3>My Certificates</h3>
-                {mockCertificates.length === 0 ? (
+                {certificates.length === 0 ? (
                     <p>You haven't earned any certificates yet. Keep learning!</p>
                 ) : (
                     <div className="certificate-grid">
-                        {mockCertificates.map(cert => (
+                        {certificates.map(cert => (
                             <div key={cert.id} className="certificate-card">
                                 <Award size={48} className="certificate-icon" />
-                                <h4>{cert.name}</h4>
-                                <p>For completing: {cert.module}</p>
-                                <p>Issued: {new Date(cert.date).toLocaleDateString()}</p>
-                                {/* In a real app, a button to download the certificate would go here */}
-                                <button className="action-btn">View Certificate</button>
+                                <h4>{cert.module_name}</h4>
+                                {cert.instructor_name && <p>Instructor: {cert.instructor_name}</p>}
+                                <p>Issued: {new Date(cert.issued_at).toLocaleDateString()}</p>
+                                <p>Certificate ID: <code>{cert.verification_code}</code></p>
+                                <div className="certificate-actions">
+                                    <a className="action-btn" href={`${API_BASE_URL}/api/certificates/${cert.id}/pdf`} target="_blank" rel="noopener noreferrer">
+                                        View Certificate
+                                    </a>
+                                    <a className="action-btn" href={`${API_BASE_URL}/api/certificates/${cert.id}/pdf?download=1`}>
+                                        Download PDF
+                                    </a>
+                                </div>
+                                <p className="certificate-verify-link">
+                                    Share to verify: <a href={cert.verification_url} target="_blank" rel="noopener noreferrer">{cert.verification_url}</a>
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Messages Section */}
+            <div className="section-card mt-8">
+                <MessageInbox currentUser={currentUser} refreshKey={inboxRefreshKey} />
+            </div>
+
+            {/* Feedback from Instructors Section */}
+            <div className="section-card mt-8">
+                <h3>Feedback from Instructors</h3>
+                {instructorFeedback.length === 0 ? (
+                    <p>No feedback from your instructors yet.</p>
+                ) : (
+                    <div className="feedback-list">
+                        {instructorFeedback.map(feedback => (
+                            <div key={feedback.id} className="feedback-item">
+                                <div className="feedback-header">
+                                    <strong>{feedback.module_title}</strong>
+                                    <span className="rating-stars">
+                                        {[1, 2, 3, 4, 5].map(star => (
+                                            <Star key={star} size={16} className={star <= feedback.rating ? 'filled' : ''} />
+                                        ))}
+                                    </span>
+                                </div>
+                                <p>{feedback.message}</p>
+                                <p className="feedback-meta">
+                                    {feedback.author_firstname ? `${feedback.author_firstname} ${feedback.author_lastname}` : 'Former instructor'}
+                                    {' \u00b7 '}{new Date(feedback.created_at).toLocaleDateString()}
+                                    {feedback.updated_at && new Date(feedback.updated_at) > new Date(feedback.created_at) && ' (edited)'}
+                                </p>
                             </div>
                         ))}
                     </div>
@@ -1078,13 +4152,120 @@ function LearnerDashboard({ currentUser }) {
                                     }</span>
                                 </div>
                                 <button className="action-btn" onClick={() => handleEnroll(module.id, module.price)} disabled={loading}>
-                                    <PlusCircle size={18} /> Enroll Now
+                                    <PlusCircle size={18} /> {parseFloat(module.price) > 0 ? 'Buy & Enroll' : 'Enroll Now'}
                                 </button>
                             </div>
                         ))}
                     </div>
                 )}
             </div>
+
+            {/* Checkout Modal */}
+            <Modal
+                title={checkout && checkout.module ? `Checkout: ${checkout.module.module_name}` : 'Checkout'}
+                isOpen={checkout !== null}
+                onClose={handleCloseCheckout}
+                showOkButton={false}
+            >
+                {checkout && checkout.module && (
+                    !checkout.order ? (
+                        <form onSubmit={handleStartCheckout}>
+                            {checkout.coupon ? (
+                                <p>
+                                    Price: <s>${formatMoney(checkout.coupon.original_amount)}</s>{' '}
+                                    <strong>${formatMoney(checkout.coupon.amount)}</strong>
+                                    {' '}(code <code>{checkout.coupon.code}</code>: -${formatMoney(checkout.coupon.discount_amount)})
+                                </p>
+                            ) : (
+                                <p>Price: <strong>${parseFloat(checkout.module.price).toFixed(2)}</strong></p>
+                            )}
+                            <div className="form-group coupon-input">
+                                <label>Coupon Code (Optional):</label>
+                                <input
+                                    type="text"
+                                    value={checkout.coupon_code}
+                                    onChange={(e) => setCheckout(prev => ({ ...prev, coupon_code: e.target.value, coupon: null }))}
+                                />
+                                <button type="button" className="action-btn" onClick={handleApplyCoupon} disabled={checkoutLoading || !checkout.coupon_code.trim()}>
+                                    Apply
+                                </button>
+                            </div>
+                            {checkout.coupon && checkout.coupon.amount === 0 ? null : checkout.providers.length === 0 ? (
+                                <p className="error">No payment methods are available right now.</p>
+                            ) : (
+                                <div className="form-group">
+                                    <label>Payment Method:</label>
+                                    <select
+                                        value={checkout.provider}
+                                        onChange={(e) => setCheckout(prev => ({ ...prev, provider: e.target.value }))}
+                                    >
+                                        {checkout.providers.map(provider => (
+                                            <option key={provider.name} value={provider.name}>{provider.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            {!(checkout.coupon && checkout.coupon.amount === 0) && checkout.providers.find(provider => provider.name === checkout.provider)?.requires_phone_number && (
+                                <div className="form-group">
+                                    <label>Mobile Money Phone Number:</label>
+                                    <input
+                                        type="tel"
+                                        value={checkout.phone_number}
+                                        onChange={(e) => setCheckout(prev => ({ ...prev, phone_number: e.target.value }))}
+                                        placeholder="e.g. 256771234567"
+                                        required
+                                    />
+                                </div>
+                            )}
+                            {checkoutError && <p className="error">{checkoutError}</p>}
+                            <div className="form-actions">
+                                <button type="button" className="cancel-btn" onClick={handleCloseCheckout}>Cancel</button>
+                                {checkout.coupon && checkout.coupon.amount === 0 ? (
+                                    <button type="submit" disabled={checkoutLoading}>
+                                        {checkoutLoading ? <Loader2 className="animate-spin" /> : 'Enroll for Free'}
+                                    </button>
+                                ) : (
+                                    <button type="submit" disabled={checkoutLoading || checkout.providers.length === 0}>
+                                        {checkoutLoading ? <Loader2 className="animate-spin" /> : `Pay $${formatMoney(checkout.coupon ? checkout.coupon.amount : checkout.module.price)}`}
+                                    </button>
+                                )}
+                            </div>
+                        </form>
+                    ) : (
+                        <div className="checkout-status">
+                            <p>Order <code>{checkout.order.reference}</code> &middot; ${parseFloat(checkout.order.amount).toFixed(2)} {checkout.order.currency}</p>
+                            {checkout.order.status === 'pending' && (
+                                <>
+                                    <p>{checkout.order.next_action ? checkout.order.next_action.message : 'Waiting for payment confirmation...'}</p>
+                                    {checkout.order.next_action && checkout.order.next_action.type === 'mock_gateway' ? (
+                                        <div className="form-actions">
+                                            <button onClick={handleMockGatewayPayment} disabled={checkoutLoading}>
+                                                {checkoutLoading ? <Loader2 className="animate-spin" /> : 'Pay with Test Card'}
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <div className="form-actions">
+                                            <button className="action-btn" onClick={() => refreshCheckoutOrder(checkout.order.reference)}>
+                                                <Clock size={16} /> Check Payment Status
+                                            </button>
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                            {(checkout.order.status === 'failed' || checkout.order.status === 'cancelled') && (
+                                <>
+                                    <p className="error">Payment {checkout.order.status}{checkout.order.failure_reason ? `: ${checkout.order.failure_reason}` : ''}.</p>
+                                    <div className="form-actions">
+                                        <button className="cancel-btn" onClick={handleCloseCheckout}>Close</button>
+                                        <button onClick={() => setCheckout(prev => ({ ...prev, order: null }))}>Try Again</button>
+                                    </div>
+                                </>
+                            )}
+                            {checkoutError && <p className="error">{checkoutError}</p>}
+                        </div>
+                    )
+                )}
+            </Modal>
         </div>
     );
 }
@@ -1098,32 +4279,34 @@ function LecturerDashboard({ currentUser }) {
     const [modules, setModules] = useState([]);
     const [selectedModule, setSelectedModule] = useState(null);
     const [moduleContent, setModuleContent] = useState([]);
+    const [moduleSections, setModuleSections] = useState([]);
+    const [sectionForm, setSectionForm] = useState(null); // Section being added or edited
+    const [draggedContentId, setDraggedContentId] = useState(null);
     const [enrolledLearners, setEnrolledLearners] = useState([]);
+    const [moduleFeedback, setModuleFeedback] = useState([]); // Feedback given to learners in the selected module
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [activeTab, setActiveTab] = useState('modules');
     const [showContentForm, setShowContentForm] = useState(false);
     const [showQuizForm, setShowQuizForm] = useState(false);
-    const [contentForm, setContentForm] = useState({
-        title: '',
-        content_type: 'Notes', 
-        file: null,
-        content_text: '', 
-    });
-    const [quizForm, setQuizForm] = useState({
-        title: '',
-        questions: [{ question_text: '', options: ['', '', '', ''], correct_answer_index: 0 }], 
-    });
-    const [feedbackForm, setFeedbackForm] = useState({
-        learnerId: '',
-        message: '',
-        rating: 5
-    });
+    const [contentForm, setContentForm] = useState(createEmptyContentForm);
+    const [quizForm, setQuizForm] = useState(createEmptyQuizForm);
+    const [feedbackForm, setFeedbackForm] = useState(createEmptyFeedbackForm);
     const [showFeedbackForm, setShowFeedbackForm] = useState(false);
     const [confirmDeleteContent, setConfirmDeleteContent] = useState(null);
     const [confirmDeleteModule, setConfirmDeleteModule] = useState(null);
     const [moduleToEdit, setModuleToEdit] = useState(null);
     const [showModuleFormModal, setShowModuleFormModal] = useState(false);
+    const [selectedAssignmentId, setSelectedAssignmentId] = useState(''); // Assignment shown in the Submissions tab
+    const [assignmentSubmissions, setAssignmentSubmissions] = useState([]);
+    const [rubrics, setRubrics] = useState([]);
+    const [showRubricModal, setShowRubricModal] = useState(false);
+    const [rubricForm, setRubricForm] = useState(createEmptyRubricForm);
+    const [questionBankTags, setQuestionBankTags] = useState([]); // Tags offered when drawing quiz questions from the bank
+    const [quizImportPreview, setQuizImportPreview] = useState(null); // Questions converted from an imported file, awaiting confirmation
+    const [exportQuiz, setExportQuiz] = useState(null);
+    const [analysisQuiz, setAnalysisQuiz] = useState(null); // Quiz whose item analysis is open
+    const [historyContent, setHistoryContent] = useState(null); // Content item whose version history is open
 
     const fetchModules = useCallback(async () => {
         setLoading(true);
@@ -1142,6 +4325,8 @@ function LecturerDashboard({ currentUser }) {
         setError(null);
         setLoading(true);
         try {
+            // Sections first: loading them files content from before sections existed into a default one
+            const sections = await callApi(`/api/modules/${moduleId}/sections`);
             const data = await callApi(`/api/modules/${moduleId}/content`);
             // When fetching content, parse quiz_data if it's a JSON string
             const parsedContent = data.map(item => ({
@@ -1150,6 +4335,7 @@ function LecturerDashboard({ currentUser }) {
                             ? JSON.parse(item.quiz_data) 
                             : item.quiz_data
             }));
+            setModuleSections(sections);
             setModuleContent(parsedContent);
         } catch (err) {
             setError(err.message);
@@ -1158,22 +4344,35 @@ function LecturerDashboard({ currentUser }) {
         }
     }, []);
 
+    const fetchModuleFeedback = useCallback(async (moduleId) => {
+        try {
+            const data = await callApi(`/api/lecturer/feedback?moduleId=${moduleId}`);
+            setModuleFeedback(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
     const fetchEnrolledLearners = useCallback(async (moduleId) => {
         setError(null);
         setLoading(true);
         try {
-            // Updated to use the new dedicated endpoint for learners per module
+            // Progress, last activity and quiz scores are computed by the backend
             const learners = await callApi(`/api/modules/${moduleId}/learners`);
-            
-            // Mock additional data (progress, last_activity, quiz_scores) as they are not from DB yet
-            const learnersWithDetails = learners.map(learner => ({
-                ...learner,
-                progress: Math.floor(Math.random() * 101), // Random progress
-                last_activity: new Date(Date.now() - Math.random() * 1000 * 3600 * 24 * 30).toISOString(), // Random last activity within 30 days
-                quiz_scores: [Math.floor(Math.random() * 50) + 50, Math.floor(Math.random() * 50) + 50], // Random scores
-            }));
+            setEnrolledLearners(learners);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
 
-            setEnrolledLearners(learnersWithDetails);
+    const fetchAssignmentSubmissions = useCallback(async (contentId) => {
+        setError(null);
+        setLoading(true);
+        try {
+            const data = await callApi(`/api/assignments/${contentId}/submissions`);
+            setAssignmentSubmissions(data);
         } catch (err) {
             setError(err.message);
         } finally {
@@ -1181,6 +4380,15 @@ function LecturerDashboard({ currentUser }) {
         }
     }, []);
 
+    const fetchRubrics = useCallback(async () => {
+        try {
+            const data = await callApi('/api/rubrics');
+            setRubrics(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
     useEffect(() => {
         fetchModules();
     }, [fetchModules]);
@@ -1193,54 +4401,112 @@ function LecturerDashboard({ currentUser }) {
     // Effect to trigger content/learners fetch when selectedModule or activeTab changes
     useEffect(() => {
         if (selectedModule) { // Only fetch if a module is selected
-            if (activeTab === 'content') {
+            if (activeTab === 'content' || activeTab === 'submissions') { // Submissions tab lists the module's assignments
                 fetchModuleContent(selectedModule.id);
             } else if (activeTab === 'learners') {
                 fetchEnrolledLearners(selectedModule.id);
+                fetchModuleFeedback(selectedModule.id);
             }
         }
-    }, [selectedModule, activeTab, fetchModuleContent, fetchEnrolledLearners]);
+    }, [selectedModule, activeTab, fetchModuleContent, fetchEnrolledLearners, fetchModuleFeedback]);
+
+    useEffect(() => {
+        if (activeTab === 'submissions') {
+            fetchRubrics();
+        }
+    }, [activeTab, fetchRubrics]);
+
+    useEffect(() => {
+        if (!showQuizForm || !selectedModule) return;
+        callApi(`/api/modules/${selectedModule.id}/question-bank`)
+            .then(items => setQuestionBankTags([...new Set(items.flatMap(item => item.tags))].sort()))
+            .catch(err => setError(err.message));
+    }, [showQuizForm, selectedModule]);
+
+    useEffect(() => {
+        if (activeTab === 'submissions' && selectedAssignmentId) {
+            fetchAssignmentSubmissions(selectedAssignmentId);
+        } else {
+            setAssignmentSubmissions([]);
+        }
+    }, [activeTab, selectedAssignmentId, fetchAssignmentSubmissions]);
 
     const handleContentFormChange = useCallback((e) => {
-        const { name, value, files } = e.target;
+        const { name, value, files, type, checked } = e.target;
         if (name === 'file') {
             setContentForm(prev => ({ ...prev, file: files[0] }));
+        } else if (type === 'checkbox') {
+            setContentForm(prev => ({ ...prev, [name]: checked }));
         } else {
             setContentForm(prev => ({ ...prev, [name]: value }));
         }
     }, []);
 
-    const handleQuizFormChange = useCallback((e, questionIndex, optionIndex) => {
-        const { name, value } = e.target;
-        
-        if (name === 'title') {
-            setQuizForm(prev => ({ ...prev, title: value }));
-            return;
-        }
+    const updateQuestion = useCallback((questionIndex, question) => {
+        setQuizForm(prev => ({
+            ...prev,
+            questions: prev.questions.map((q, i) => (i === questionIndex ? question : q))
+        }));
+    }, []);
 
-        const updatedQuestions = [...quizForm.questions];
-        if (name === 'question_text') {
-            updatedQuestions[questionIndex].question_text = value;
-        } else if (name === 'option') {
-            updatedQuestions[questionIndex].options[optionIndex] = value;
-        } else if (name === 'correct_answer_index') {
-            updatedQuestions[questionIndex].correct_answer_index = parseInt(value);
-        }
-        setQuizForm(prev => ({ ...prev, questions: updatedQuestions }));
-    }, [quizForm.questions]);
+    const updateDrawRule = useCallback((ruleIndex, field, value) => {
+        setQuizForm(prev => ({
+            ...prev,
+            draw_rules: prev.draw_rules.map((rule, i) => (i === ruleIndex ? { ...rule, [field]: value } : rule))
+        }));
+    }, []);
 
     const addQuestion = useCallback(() => {
         setQuizForm(prev => ({
             ...prev,
-            questions: [...prev.questions, { question_text: '', options: ['', '', '', ''], correct_answer_index: 0 }]
+            questions: [...prev.questions, createEmptyQuizQuestion()]
         }));
     }, []);
 
     const removeQuestion = useCallback((index) => {
-        const updatedQuestions = [...quizForm.questions];
-        updatedQuestions.splice(index, 1);
-        setQuizForm(prev => ({ ...prev, questions: updatedQuestions }));
-    }, [quizForm.questions]);
+        setQuizForm(prev => ({ ...prev, questions: prev.questions.filter((_, i) => i !== index) }));
+    }, []);
+
+    // Opens the content or quiz form filled in with an existing item
+    const handleEditContent = useCallback((content) => {
+        setError(null);
+        if (content.content_type === 'Quizzes') {
+            setQuizForm({
+                ...createEmptyQuizForm(),
+                id: content.id,
+                title: content.title,
+                reveal_answers: content.reveal_answers,
+                reveal_answers_at: toDateTimeInputValue(content.reveal_answers_at),
+                pass_mark: content.pass_mark !== null ? parseFloat(content.pass_mark) : '',
+                max_attempts: content.max_attempts ?? '',
+                attempt_cooldown_minutes: content.attempt_cooldown_minutes || '',
+                attempt_scoring: content.attempt_scoring,
+                time_limit_minutes: content.time_limit_minutes ?? '',
+                question_source: content.quiz_draw_rules ? 'bank' : 'written',
+                // Stored questions may leave out fields a type doesn't need, which the editor expects
+                questions: content.quiz_data
+                    ? content.quiz_data.map(question => ({ ...createEmptyQuizQuestion(question.type), ...question }))
+                    : [createEmptyQuizQuestion()],
+                draw_rules: content.quiz_draw_rules || [createEmptyDrawRule()],
+                shuffle_questions: Boolean(content.shuffle_questions),
+                shuffle_options: Boolean(content.shuffle_options),
+            });
+            setShowQuizForm(true);
+        } else {
+            setContentForm({
+                ...createEmptyContentForm(),
+                id: content.id,
+                title: content.title,
+                content_type: content.content_type,
+                current_file_path: content.file_path,
+                content_text: content.content_text || '',
+                due_date: toDateTimeInputValue(content.due_date),
+                allow_late_submissions: Boolean(content.allow_late_submissions),
+                max_score: content.max_score !== null ? parseFloat(content.max_score) : 100,
+            });
+            setShowContentForm(true);
+        }
+    }, []);
 
     const handleSubmitContent = useCallback(async (e) => {
         e.preventDefault();
@@ -1249,7 +4515,12 @@ function LecturerDashboard({ currentUser }) {
         try {
             const formData = new FormData();
             formData.append('title', contentForm.title);
-            formData.append('content_type', contentForm.content_type); 
+            if (!contentForm.id) {
+                formData.append('section_id', contentForm.section_id);
+                formData.append('content_type', contentForm.content_type);
+            } else if (contentForm.remove_file && !contentForm.file) {
+                formData.append('remove_file', 'true');
+            }
             
             if (contentForm.content_type === 'Quizzes') {
                  formData.append('content_text', ''); // Send empty string for backend to set null
@@ -1261,13 +4532,26 @@ function LecturerDashboard({ currentUser }) {
                 formData.append('materialFile', contentForm.file); 
             }
 
-            await callApi(`/api/modules/${selectedModule.id}/content`, {
-                method: 'POST',
-                body: formData,
-            });
+            if (contentForm.content_type === 'Assignments') {
+                if (contentForm.due_date) {
+                    formData.append('due_date', new Date(contentForm.due_date).toISOString());
+                }
+                formData.append('allow_late_submissions', contentForm.allow_late_submissions ? 'true' : 'false');
+                formData.append('max_score', contentForm.max_score);
+            }
+
+            if (contentForm.id) {
+                await callApi(`/api/content/${contentForm.id}`, { method: 'PUT', body: formData });
+                alert('Content updated successfully!');
+            } else {
+                await callApi(`/api/modules/${selectedModule.id}/content`, {
+                    method: 'POST',
+                    body: formData,
+                });
+            }
 
             setShowContentForm(false);
-            setContentForm({ title: '', content_type: 'Notes', file: null, content_text: '' }); // Reset form
+            setContentForm(createEmptyContentForm()); // Reset form
             fetchModuleContent(selectedModule.id); // Re-fetch updated content
         } catch (err) {
             setError(err.message);
@@ -1281,17 +4565,39 @@ function LecturerDashboard({ currentUser }) {
         setLoading(true);
         setError(null);
         try {
-            await callApi(`/api/modules/${selectedModule.id}/content`, {
-                method: 'POST',
-                body: {
-                    title: quizForm.title,
-                    content_type: 'Quizzes',
-                    quiz_data: JSON.stringify(quizForm.questions), // Backend expects quiz_data as a JSON string
-                },
-            });
+            const body = {
+                title: quizForm.title,
+                // Backend expects quiz_data / quiz_draw_rules as JSON strings
+                ...(quizForm.question_source === 'bank'
+                    ? { quiz_draw_rules: JSON.stringify(quizForm.draw_rules) }
+                    : { quiz_data: JSON.stringify(quizForm.questions) }),
+                shuffle_questions: quizForm.shuffle_questions,
+                shuffle_options: quizForm.shuffle_options,
+                reveal_answers: quizForm.reveal_answers,
+                reveal_answers_at: quizForm.reveal_answers === 'after_date' && quizForm.reveal_answers_at
+                    ? new Date(quizForm.reveal_answers_at).toISOString()
+                    : null,
+                pass_mark: quizForm.pass_mark,
+                max_attempts: quizForm.max_attempts,
+                attempt_cooldown_minutes: quizForm.attempt_cooldown_minutes,
+                attempt_scoring: quizForm.attempt_scoring,
+                time_limit_minutes: quizForm.time_limit_minutes,
+            };
+            if (quizForm.id) {
+                const result = await callApi(`/api/content/${quizForm.id}`, { method: 'PUT', body: { ...body, quiz_edit_mode: quizForm.edit_mode } });
+                alert(result.regraded_attempts > 0
+                    ? `Quiz updated successfully! ${result.regraded_attempts} attempt(s) were regraded.`
+                    : 'Quiz updated successfully!');
+            } else {
+                await callApi(`/api/modules/${selectedModule.id}/content`, {
+                    method: 'POST',
+                    body: { ...body, section_id: quizForm.section_id, content_type: 'Quizzes' },
+                });
+            }
 
             setShowQuizForm(false);
-            setQuizForm({ title: '', questions: [{ question_text: '', options: ['', '', '', ''], correct_answer_index: 0 }]}); // Reset form
+            setQuizForm(createEmptyQuizForm()); // Reset form
+            setQuizImportPreview(null);
             fetchModuleContent(selectedModule.id);
         } catch (err) {
             setError(err.message);
@@ -1300,6 +4606,128 @@ function LecturerDashboard({ currentUser }) {
         }
     }, [quizForm, selectedModule, fetchModuleContent]);
 
+    const handleImportQuizFile = useCallback(async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const formData = new FormData();
+            formData.append('quizFile', file);
+            const preview = await callApi('/api/quizzes/import/preview', { method: 'POST', body: formData });
+            setQuizImportPreview(preview);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const handleAcceptQuizImport = useCallback(() => {
+        setQuizForm(prev => {
+            // Replace the blank question a new quiz starts with rather than keeping it
+            const existing = prev.questions.filter(question => question.question_text.trim() !== '');
+            return { ...prev, questions: [...existing, ...quizImportPreview.questions] };
+        });
+        setQuizImportPreview(null);
+    }, [quizImportPreview]);
+
+    const handleSaveSection = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const body = { title: sectionForm.title, description: sectionForm.description };
+            if (sectionForm.id) {
+                await callApi(`/api/sections/${sectionForm.id}`, { method: 'PUT', body });
+                alert('Section updated successfully!');
+            } else {
+                await callApi(`/api/modules/${selectedModule.id}/sections`, { method: 'POST', body });
+                alert('Section added successfully!');
+            }
+            setSectionForm(null);
+            fetchModuleContent(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [sectionForm, selectedModule, fetchModuleContent]);
+
+    const handleDeleteSection = useCallback(async (section) => {
+        if (!window.confirm(`Delete the section "${section.title}"?`)) return;
+        setError(null);
+        try {
+            await callApi(`/api/sections/${section.id}`, { method: 'DELETE' });
+            fetchModuleContent(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [selectedModule, fetchModuleContent]);
+
+    // Swaps a section with its neighbour above (-1) or below (+1)
+    const handleMoveSection = useCallback(async (index, direction) => {
+        const sectionIds = moduleSections.map(section => section.id);
+        [sectionIds[index], sectionIds[index + direction]] = [sectionIds[index + direction], sectionIds[index]];
+        setError(null);
+        try {
+            await callApi(`/api/modules/${selectedModule.id}/sections/order`, { method: 'PUT', body: { section_ids: sectionIds } });
+            fetchModuleContent(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [moduleSections, selectedModule, fetchModuleContent]);
+
+    const handleMoveContentToSection = useCallback(async (contentId, sectionId) => {
+        setError(null);
+        try {
+            await callApi(`/api/content/${contentId}/section`, { method: 'PUT', body: { section_id: sectionId } });
+            fetchModuleContent(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [selectedModule, fetchModuleContent]);
+
+    // Saves a new order of the module's content: every item, each with the section it is now in
+    const saveContentOrder = useCallback(async (orderedContent) => {
+        setModuleContent(orderedContent); // Show the new order straight away
+        setError(null);
+        try {
+            await callApi(`/api/modules/${selectedModule.id}/content/order`, {
+                method: 'PUT',
+                body: { content: orderedContent.map(item => ({ id: item.id, section_id: item.section_id })) },
+            });
+        } catch (err) {
+            setError(err.message);
+            fetchModuleContent(selectedModule.id); // Put back the order that was saved
+        }
+    }, [selectedModule, fetchModuleContent]);
+
+    /**
+     * Moves a content item into a section, before another item of it or (without one) to the section's end.
+     * @param {number} contentId
+     * @param {number} sectionId
+     * @param {number|null} [beforeId=null]
+     */
+    const handleReorderContent = useCallback((contentId, sectionId, beforeId = null) => {
+        const moving = moduleContent.find(item => item.id === contentId);
+        const rest = moduleContent.filter(item => item.id !== contentId);
+        let index = beforeId === null ? -1 : rest.findIndex(item => item.id === beforeId);
+        if (index === -1) {
+            const lastInSection = rest.map(item => item.section_id).lastIndexOf(sectionId);
+            index = lastInSection === -1 ? rest.length : lastInSection + 1;
+        }
+        saveContentOrder([...rest.slice(0, index), { ...moving, section_id: sectionId }, ...rest.slice(index)]);
+    }, [moduleContent, saveContentOrder]);
+
+    const handleDropContent = useCallback((sectionId, beforeId = null) => {
+        if (draggedContentId !== null && draggedContentId !== beforeId) {
+            handleReorderContent(draggedContentId, sectionId, beforeId);
+        }
+        setDraggedContentId(null);
+    }, [draggedContentId, handleReorderContent]);
+
     const handleDeleteContent = useCallback((contentId) => {
         setConfirmDeleteContent(contentId);
     }, []);
@@ -1401,43 +4829,197 @@ function LecturerDashboard({ currentUser }) {
         setConfirmDeleteModule(null);
     }, []);
 
+    // Completes a learner's enrollment regardless of the module's completion rules
+    const handleCompleteEnrollment = useCallback(async (learner) => {
+        if (!window.confirm(`Mark ${learner.firstname} ${learner.lastname} as having completed this module? A certificate will be issued.`)) return;
+        setError(null);
+        try {
+            await callApi(`/api/enrollments/${learner.enrollment_id}/complete`, { method: 'PUT' });
+            fetchEnrolledLearners(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [selectedModule, fetchEnrolledLearners]);
+
     const handleProvideFeedback = useCallback((learner) => {
-        // This is a dummy for now as backend doesn't have a specific feedback route.
-        // In a real app, you'd populate feedbackForm and show a modal.
-        alert(`Providing feedback for ${learner.firstname} (Feature to be implemented).`);
         setFeedbackForm({
+            ...createEmptyFeedbackForm(),
             learnerId: learner.id,
-            message: '',
-            rating: 5
+            learnerName: learner.firstname,
+        });
+        setShowFeedbackForm(true);
+    }, []);
+
+    const handleEditFeedback = useCallback((feedback) => {
+        setFeedbackForm({
+            ...createEmptyFeedbackForm(),
+            feedbackId: feedback.id,
+            learnerId: feedback.learner_id,
+            learnerName: feedback.learner_firstname,
+            message: feedback.message,
+            rating: feedback.rating,
+        });
+        setShowFeedbackForm(true);
+    }, []);
+
+    const handleDeleteFeedback = useCallback(async (feedbackId) => {
+        if (!window.confirm('Delete this feedback? The learner will no longer see it.')) return;
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/lecturer/feedback/${feedbackId}`, { method: 'DELETE' });
+            fetchModuleFeedback(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [selectedModule, fetchModuleFeedback]);
+
+    // Opens the feedback modal in grading mode for an assignment submission
+    const handleGradeSubmission = useCallback((submission) => {
+        setFeedbackForm({
+            ...createEmptyFeedbackForm(),
+            learnerId: submission.user_id,
+            learnerName: `${submission.firstname} ${submission.lastname}`,
+            message: submission.feedback || '',
+            submissionId: submission.id,
+            score: submission.score !== null ? parseFloat(submission.score) : '',
+            rubricScores: submission.rubric_scores || [],
         });
         setShowFeedbackForm(true);
     }, []);
 
+    const closeFeedbackForm = useCallback(() => {
+        setShowFeedbackForm(false);
+        setFeedbackForm(createEmptyFeedbackForm());
+        setError(null);
+    }, []);
+
     const handleSubmitFeedback = useCallback(async (e) => {
         e.preventDefault();
         setLoading(true);
         setError(null);
         try {
-            // This is a dummy call as backend doesn't have this route implemented yet.
-            alert('Feedback submission is a placeholder. Backend needs an endpoint for this.');
-            // await callApi(`/api/lecturer/feedback`, { // This would be the actual API call
-            //     method: 'POST',
-            //     body: {
-            //         learnerId: feedbackForm.learnerId,
-            //         moduleId: selectedModule.id,
-            //         message: feedbackForm.message,
-            //         rating: feedbackForm.rating
-            //     },
-            // });
-            setShowFeedbackForm(false);
-            setFeedbackForm({ learnerId: '', message: '', rating: 5 }); // Reset form
-            fetchEnrolledLearners(selectedModule.id);
+            if (feedbackForm.submissionId) {
+                const formData = new FormData();
+                formData.append('feedback', feedbackForm.message);
+                if (feedbackForm.rubricScores.length > 0) {
+                    formData.append('rubric_scores', JSON.stringify(feedbackForm.rubricScores));
+                } else {
+                    formData.append('score', feedbackForm.score);
+                }
+                if (feedbackForm.returnedFile) {
+                    formData.append('returnedFile', feedbackForm.returnedFile);
+                }
+                const result = await callApi(`/api/submissions/${feedbackForm.submissionId}/grade`, {
+                    method: 'PUT',
+                    body: formData,
+                });
+                alert(`Submission graded: ${result.score} points.`);
+                closeFeedbackForm();
+                fetchAssignmentSubmissions(selectedAssignmentId);
+                return;
+            }
+
+            if (feedbackForm.feedbackId) {
+                await callApi(`/api/lecturer/feedback/${feedbackForm.feedbackId}`, {
+                    method: 'PUT',
+                    body: {
+                        message: feedbackForm.message,
+                        rating: feedbackForm.rating
+                    },
+                });
+                alert('Feedback updated.');
+            } else {
+                await callApi(`/api/lecturer/feedback`, {
+                    method: 'POST',
+                    body: {
+                        learnerId: feedbackForm.learnerId,
+                        moduleId: selectedModule.id,
+                        message: feedbackForm.message,
+                        rating: feedbackForm.rating
+                    },
+                });
+                alert('Feedback sent to learner.');
+            }
+            setShowFeedbackForm(false);
+            setFeedbackForm(createEmptyFeedbackForm()); // Reset form
+            fetchModuleFeedback(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [feedbackForm, selectedModule, selectedAssignmentId, closeFeedbackForm, fetchModuleFeedback, fetchAssignmentSubmissions]);
+
+    const handleAttachRubric = useCallback(async (rubricId) => {
+        if (!selectedAssignmentId) return;
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/content/${selectedAssignmentId}/rubric`, {
+                method: 'PUT',
+                body: { rubric_id: rubricId ? parseInt(rubricId) : null },
+            });
+            fetchModuleContent(selectedModule.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [selectedAssignmentId, selectedModule, fetchModuleContent]);
+
+    const updateRubricCriterion = useCallback((criterionIndex, updater) => {
+        setRubricForm(prev => ({
+            ...prev,
+            criteria: prev.criteria.map((c, i) => (i === criterionIndex ? updater(c) : c)),
+        }));
+    }, []);
+
+    const handleSaveRubric = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const body = {
+                title: rubricForm.title,
+                criteria: rubricForm.criteria.map(c => ({
+                    criterion: c.criterion,
+                    levels: c.levels.map(level => ({ label: level.label, points: parseFloat(level.points) })),
+                })),
+            };
+            if (rubricForm.id) {
+                await callApi(`/api/rubrics/${rubricForm.id}`, { method: 'PUT', body });
+            } else {
+                await callApi('/api/rubrics', { method: 'POST', body });
+            }
+            setRubricForm(createEmptyRubricForm());
+            fetchRubrics();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [rubricForm, fetchRubrics]);
+
+    const handleDeleteRubric = useCallback(async (rubricId) => {
+        if (!window.confirm('Delete this rubric? Assignments using it will go back to a plain score.')) return;
+        setLoading(true);
+        setError(null);
+        try {
+            await callApi(`/api/rubrics/${rubricId}`, { method: 'DELETE' });
+            fetchRubrics();
+            fetchModuleContent(selectedModule.id);
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, [feedbackForm, selectedModule, fetchEnrolledLearners]);
+    }, [selectedModule, fetchRubrics, fetchModuleContent]);
+
+    const selectedAssignment = moduleContent.find(content => String(content.id) === String(selectedAssignmentId));
+    const selectedAssignmentRubric = selectedAssignment ? rubrics.find(r => r.id === selectedAssignment.rubric_id) : null;
 
     if (loading && !selectedModule) return <div className="dashboard-content"><h2>Lecturer Dashboard</h2><p>Loading your courses...</p><Loader2 className="animate-spin large-spinner" /></div>;
     if (error && !selectedModule) return <div className="dashboard-content"><h2>Lecturer Dashboard</h2><p className="error">{error}</p></div>;
@@ -1497,6 +5079,19 @@ function LecturerDashboard({ currentUser }) {
                             </div>
                         )}
                     </div>
+
+                    <div className="section-card mt-8">
+                        <h3>Discount Codes</h3>
+                        {modules.length === 0 ? (
+                            <p>Create a module before adding coupon codes.</p>
+                        ) : (
+                            <CouponManager modules={modules} />
+                        )}
+                    </div>
+
+                    <div className="section-card mt-8">
+                        <MessageInbox currentUser={currentUser} />
+                    </div>
                 </>
             ) : (
                 <>
@@ -1504,6 +5099,7 @@ function LecturerDashboard({ currentUser }) {
                         <button className="back-btn" onClick={() => {
                             setSelectedModule(null);
                             setActiveTab('modules');
+                            setSelectedAssignmentId('');
                             setError(null);
                         }}>
                             <ChevronLeft className="w-5 h-5" /> Back to Courses
@@ -1528,6 +5124,38 @@ function LecturerDashboard({ currentUser }) {
                         >
                             <Users className="icon" /> Enrolled Learners
                         </button>
+                        <button 
+                            className={`tab-btn ${activeTab === 'submissions' ? 'active' : ''}`} 
+                            onClick={() => {
+                                setActiveTab('submissions');
+                            }}
+                        >
+                            <FileText className="icon" /> Submissions
+                        </button>
+                        <button 
+                            className={`tab-btn ${activeTab === 'forum' ? 'active' : ''}`} 
+                            onClick={() => {
+                                setActiveTab('forum');
+                            }}
+                        >
+                            <MessageSquare className="icon" /> Discussion
+                        </button>
+                        <button 
+                            className={`tab-btn ${activeTab === 'bank' ? 'active' : ''}`} 
+                            onClick={() => {
+                                setActiveTab('bank');
+                            }}
+                        >
+                            <ListChecks className="icon" /> Question Bank
+                        </button>
+                        <button 
+                            className={`tab-btn ${activeTab === 'gradebook' ? 'active' : ''}`} 
+                            onClick={() => {
+                                setActiveTab('gradebook');
+                            }}
+                        >
+                            <GraduationCap className="icon" /> Gradebook
+                        </button>
                     </div>
                     
                     {error && activeTab !== 'modules' && <p className="error">{error}</p>}
@@ -1542,46 +5170,243 @@ function LecturerDashboard({ currentUser }) {
                                 <button className="add-btn" onClick={() => setShowQuizForm(true)}>
                                     <ListChecks className="icon" /> Add Quiz
                                 </button>
+                                <button className="add-btn" onClick={() => setSectionForm(createEmptySectionForm())}>
+                                    <PlusCircle className="icon" /> Add Section
+                                </button>
                             </div>
                             
-                            {!loading && moduleContent.length === 0 ? (
-                                <p>No content added yet for this module.</p>
-                            ) : (
-                                <div className="content-list">
-                                    {moduleContent
-                                        .sort((a, b) => (a.sequence || 0) - (b.sequence || 0)) // Sort by sequence, default 0
-                                        .map((content) => (
-                                            <div key={content.id} className="content-item">
-                                                <div className="content-info">
-                                                    <span className="content-type">{content.content_type}</span>
-                                                    <h4>{content.title}</h4>
-                                                    {content.content_type !== 'Quizzes' && content.content_text && <p>{content.content_text}</p>}
-                                                    {content.content_type === 'Quizzes' && (
-                                                        <div className="quiz-info">
-                                                            <span>Questions: {content.quiz_data?.length || 0}</span>
-                                                            <span>Passing Score: {content.passing_score || 70}% (mock)</span> 
-                                                        </div>
-                                                    )}
-                                                    {content.file_path && (
-                                                        <p>File: <a href={`${API_BASE_URL}${content.file_path}`} target="_blank" rel="noopener noreferrer">{content.file_path.split('/').pop()}</a></p>
-                                                    )}
+                            {!loading && moduleContent.length === 0 && <p>No content added yet for this module.</p>}
+                            <ModuleSectionList
+                                sections={moduleSections}
+                                content={moduleContent}
+                                renderSectionActions={(section, index) => (
+                                    <>
+                                        <button className="action-btn" onClick={() => handleMoveSection(index, -1)} disabled={index === 0} title="Move Up">
+                                            <ArrowUp size={16} />
+                                        </button>
+                                        <button className="action-btn" onClick={() => handleMoveSection(index, 1)} disabled={index === moduleSections.length - 1} title="Move Down">
+                                            <ArrowDown size={16} />
+                                        </button>
+                                        <button className="action-btn" onClick={() => setSectionForm({ id: section.id, title: section.title, description: section.description || '' })} title="Edit Section">
+                                            <Edit size={16} />
+                                        </button>
+                                        <button className="delete-btn" onClick={() => handleDeleteSection(section)} title="Delete Section">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </>
+                                )}
+                                onDropIntoSection={(sectionId) => handleDropContent(sectionId)}
+                                renderItem={(content, index, sectionItems) => (
+                                    <div
+                                        key={content.id}
+                                        className={`content-item draggable-content ${draggedContentId === content.id ? 'dragging' : ''}`}
+                                        draggable
+                                        onDragStart={(e) => {
+                                            e.dataTransfer.setData('text/plain', String(content.id)); // Firefox only drags with data set
+                                            setDraggedContentId(content.id);
+                                        }}
+                                        onDragEnd={() => setDraggedContentId(null)}
+                                        onDragOver={(e) => e.preventDefault()}
+                                        onDrop={(e) => {
+                                            e.preventDefault();
+                                            e.stopPropagation(); // Dropped before this item, not at the end of the section
+                                            handleDropContent(content.section_id, content.id);
+                                        }}
+                                    >
+                                        <div className="content-info">
+                                            <span className="content-type">{content.content_type}</span>
+                                            <h4>{content.title}</h4>
+                                            {content.content_type !== 'Quizzes' && content.content_text && <p>{content.content_text}</p>}
+                                            {content.content_type === 'Quizzes' && (
+                                                <div className="quiz-info">
+                                                    <span>Questions: {content.quiz_draw_rules
+                                                        ? `${content.quiz_draw_rules.reduce((sum, rule) => sum + rule.count, 0)} drawn from the bank`
+                                                        : (content.quiz_data?.length || 0)}
+                                                        {(content.shuffle_questions || content.shuffle_options) ? ' (shuffled)' : ''}
+                                                    </span>
+                                                    <span>Pass Mark: {content.pass_mark !== null ? `${parseFloat(content.pass_mark)}%` : 'None'}</span>
+                                                    <span>Attempts: {content.max_attempts || 'Unlimited'}{content.attempt_cooldown_minutes > 0 ? `, ${content.attempt_cooldown_minutes} min apart` : ''}</span>
+                                                    <span>Counts: {quizScoringOptions.find(o => o.value === content.attempt_scoring)?.label || 'Best attempt'}</span>
+                                                    <span>Time Limit: {content.time_limit_minutes ? `${content.time_limit_minutes} min` : 'None'}</span>
+                                                    <span>Answers Revealed: {
+                                                        content.reveal_answers === 'after_date' && content.reveal_answers_at
+                                                            ? `After ${new Date(content.reveal_answers_at).toLocaleString()}`
+                                                            : (revealAnswerOptions.find(o => o.value === content.reveal_answers)?.label || 'Never')
+                                                    }</span>
                                                 </div>
-                                                <div className="content-actions">
-                                                    <button 
-                                                        className="delete-btn" 
-                                                        onClick={() => handleDeleteContent(content.id)}
-                                                        title="Delete"
-                                                    >
-                                                        <Trash2 className="icon" />
+                                            )}
+                                            {content.file_path && (
+                                                <p>File: <a href={`${API_BASE_URL}${content.file_path}`} target="_blank" rel="noopener noreferrer">{content.file_path.split('/').pop()}</a></p>
+                                            )}
+                                            {content.content_type === 'Assignments' && (
+                                                <p>Due: {formatDueDate(content.due_date)}{!content.allow_late_submissions && ' (no late submissions)'}</p>
+                                            )}
+                                        </div>
+                                        <div className="content-actions">
+                                            <button
+                                                className="action-btn"
+                                                onClick={() => handleReorderContent(content.id, content.section_id, sectionItems[index - 1].id)}
+                                                disabled={index === 0}
+                                                title="Move Up"
+                                            >
+                                                <ArrowUp size={16} />
+                                            </button>
+                                            <button
+                                                className="action-btn"
+                                                onClick={() => handleReorderContent(content.id, content.section_id, index + 2 < sectionItems.length ? sectionItems[index + 2].id : null)}
+                                                disabled={index === sectionItems.length - 1}
+                                                title="Move Down"
+                                            >
+                                                <ArrowDown size={16} />
+                                            </button>
+                                            <button className="action-btn" onClick={() => handleEditContent(content)} title="Edit">
+                                                <Edit size={16} />
+                                            </button>
+                                            <button className="action-btn" onClick={() => setHistoryContent(content)} title="Version History">
+                                                <Clock size={16} />
+                                            </button>
+                                            {content.content_type === 'Quizzes' && (
+                                                <>
+                                                    <button className="action-btn" onClick={() => setAnalysisQuiz(content)} title="Item Analysis">
+                                                        <BarChart className="icon" />
                                                     </button>
-                                                </div>
-                                            </div>
+                                                    <button className="action-btn" onClick={() => setExportQuiz(content)} title="Export Quiz">
+                                                        <FileText className="icon" />
+                                                    </button>
+                                                </>
+                                            )}
+                                            {moduleSections.length > 1 && (
+                                                <select
+                                                    className="section-select"
+                                                    value={content.section_id || ''}
+                                                    onChange={(e) => handleMoveContentToSection(content.id, e.target.value)}
+                                                    title="Move to Section"
+                                                >
+                                                    {moduleSections.map(section => (
+                                                        <option key={section.id} value={section.id}>{section.title}</option>
+                                                    ))}
+                                                </select>
+                                            )}
+                                            <button 
+                                                className="delete-btn" 
+                                                onClick={() => handleDeleteContent(content.id)}
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="icon" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            />
+                        </div>
+                    )}
+                    
+                    {activeTab === 'forum' && (
+                        <ModuleForum moduleId={selectedModule.id} currentUser={currentUser} />
+                    )}
+
+                    {activeTab === 'bank' && (
+                        <QuestionBank moduleId={selectedModule.id} />
+                    )}
+
+                    {activeTab === 'gradebook' && (
+                        <Gradebook moduleId={selectedModule.id} />
+                    )}
+
+                    {activeTab === 'submissions' && (
+                        <div className="submission-management">
+                            <div className="form-group">
+                                <label htmlFor="assignment-select">Assignment:</label>
+                                <select
+                                    id="assignment-select"
+                                    value={selectedAssignmentId}
+                                    onChange={(e) => setSelectedAssignmentId(e.target.value)}
+                                >
+                                    <option value="">Select an assignment</option>
+                                    {moduleContent.filter(content => content.content_type === 'Assignments').map(assignment => (
+                                        <option key={assignment.id} value={assignment.id}>
+                                            {assignment.title} (Due: {formatDueDate(assignment.due_date)})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            {selectedAssignment && (
+                                <div className="form-group rubric-picker">
+                                    <label htmlFor="rubric-select">Grading Rubric:</label>
+                                    <select
+                                        id="rubric-select"
+                                        value={selectedAssignment.rubric_id || ''}
+                                        onChange={(e) => handleAttachRubric(e.target.value)}
+                                    >
+                                        <option value="">None (score out of {parseFloat(selectedAssignment.max_score) || 100})</option>
+                                        {rubrics.map(rubric => (
+                                            <option key={rubric.id} value={rubric.id}>{rubric.title} ({rubric.max_score} pts)</option>
                                         ))}
+                                    </select>
+                                    <button type="button" className="action-btn" onClick={() => setShowRubricModal(true)}>
+                                        <Settings size={16} /> Manage Rubrics
+                                    </button>
+                                </div>
+                            )}
+                            {!selectedAssignmentId ? (
+                                <p>Select an assignment to see learner submissions.</p>
+                            ) : !loading && assignmentSubmissions.length === 0 ? (
+                                <p>No submissions for this assignment yet.</p>
+                            ) : (
+                                <div className="learner-table-container">
+                                    <table className="learner-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Learner</th>
+                                                <th>Submitted</th>
+                                                <th>Status</th>
+                                                <th>Submission</th>
+                                                <th>Grade</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {assignmentSubmissions.map(submission => (
+                                                <tr key={submission.id}>
+                                                    <td>{submission.firstname} {submission.lastname}<br /><small>{submission.email}</small></td>
+                                                    <td>
+                                                        {new Date(submission.submitted_at).toLocaleString()}
+                                                        {submission.submission_count > 1 && <><br /><small>Resubmitted {submission.submission_count - 1} time(s)</small></>}
+                                                    </td>
+                                                    <td>
+                                                        <span className={`status-badge ${submission.is_late ? 'inactive' : 'active'}`}>
+                                                            {submission.is_late ? 'Late' : 'On time'}
+                                                        </span>
+                                                    </td>
+                                                    <td>
+                                                        {submission.file_path && (
+                                                            <a href={`${API_BASE_URL}/api/submissions/${submission.id}/file`} target="_blank" rel="noopener noreferrer">{submissionFileName(submission.file_path)}</a>
+                                                        )}
+                                                        {submission.submission_text && <p>{submission.submission_text}</p>}
+                                                    </td>
+                                                    <td>
+                                                        {submission.graded_at ? (
+                                                            <span>
+                                                                {parseFloat(submission.score)}
+                                                                {selectedAssignmentRubric ? ` / ${selectedAssignmentRubric.max_score}` : ` / ${parseFloat(selectedAssignment?.max_score) || 100}`}
+                                                            </span>
+                                                        ) : <span>Not graded</span>}
+                                                        <button
+                                                            className="feedback-btn"
+                                                            onClick={() => handleGradeSubmission(submission)}
+                                                            title={submission.graded_at ? 'Regrade' : 'Grade'}
+                                                        >
+                                                            <Star className="icon" />
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
                                 </div>
                             )}
                         </div>
                     )}
-                    
+
                     {activeTab === 'learners' && (
                         <div className="learner-management">
                             {!loading && enrolledLearners.length === 0 ? (
@@ -1595,6 +5420,9 @@ function LecturerDashboard({ currentUser }) {
                                                 <th>Email</th>
                                                 <th>Status</th>
                                                 <th>Enrollment Date</th>
+                                                <th>Progress</th>
+                                                <th>Last Activity</th>
+                                                <th>Quiz Scores (best / latest)</th>
                                                 <th>Actions</th>
                                             </tr>
                                         </thead>
@@ -1609,6 +5437,25 @@ function LecturerDashboard({ currentUser }) {
                                                         </span>
                                                     </td>
                                                     <td>{new Date(learner.enrollment_date).toLocaleDateString()}</td>
+                                                    <td>
+                                                        <div className="progress-bar-container">
+                                                            <div className="progress-bar" style={{ width: `${learner.progress}%` }}></div>
+                                                        </div>
+                                                        <span className="progress-text">{learner.progress}% ({learner.completed_items}/{learner.total_items})</span>
+                                                        {learner.is_completed ? <span className="status-badge active">Completed</span> : null}
+                                                    </td>
+                                                    <td>{learner.last_activity ? new Date(learner.last_activity).toLocaleString() : '-'}</td>
+                                                    <td>
+                                                        {learner.quiz_scores.length === 0 ? 'No attempts' : (
+                                                            <ul className="learner-quiz-scores">
+                                                                {learner.quiz_scores.map(quiz => (
+                                                                    <li key={quiz.quiz_content_id}>
+                                                                        {quiz.title}: {quiz.best_score.toFixed(0)}% / {quiz.latest_score.toFixed(0)}% ({quiz.attempts} {quiz.attempts === 1 ? 'attempt' : 'attempts'})
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                        )}
+                                                    </td>
                                                     <td>
                                                         <button 
                                                             className="feedback-btn" 
@@ -1617,6 +5464,54 @@ function LecturerDashboard({ currentUser }) {
                                                         >
                                                             <MessageSquare className="icon" />
                                                         </button>
+                                                        {!learner.is_completed && (
+                                                            <button
+                                                                className="action-btn"
+                                                                onClick={() => handleCompleteEnrollment(learner)}
+                                                                title="Mark Module Complete"
+                                                            >
+                                                                <CheckCircle size={16} />
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            <h4>Feedback Given</h4>
+                            {moduleFeedback.length === 0 ? (
+                                <p>No feedback has been given in this module yet.</p>
+                            ) : (
+                                <div className="learner-table-container">
+                                    <table className="learner-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Learner</th>
+                                                <th>Rating</th>
+                                                <th>Message</th>
+                                                <th>Given By</th>
+                                                <th>Date</th>
+                                                <th>Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {moduleFeedback.map(feedback => (
+                                                <tr key={feedback.id}>
+                                                    <td>{feedback.learner_firstname} {feedback.learner_lastname}</td>
+                                                    <td>{feedback.rating} / 5</td>
+                                                    <td>{feedback.message}</td>
+                                                    <td>{feedback.author_firstname ? `${feedback.author_firstname} ${feedback.author_lastname}` : '-'}</td>
+                                                    <td>{new Date(feedback.created_at).toLocaleDateString()}</td>
+                                                    <td>
+                                                        <button className="edit-btn" onClick={() => handleEditFeedback(feedback)} title="Edit Feedback">
+                                                            <Edit size={16} />
+                                                        </button>
+                                                        <button className="delete-btn" onClick={() => handleDeleteFeedback(feedback.id)} title="Delete Feedback">
+                                                            <Trash2 size={16} />
+                                                        </button>
                                                     </td>
                                                 </tr>
                                             ))}
@@ -1631,11 +5526,11 @@ function LecturerDashboard({ currentUser }) {
             
             {/* Content Form Modal */}
             <Modal 
-                title="Add Content" 
+                title={contentForm.id ? 'Edit Content' : 'Add Content'} 
                 isOpen={showContentForm} 
                 onClose={() => {
                     setShowContentForm(false);
-                    setContentForm({ title: '', content_type: 'Notes', file: null, content_text: '' });
+                    setContentForm(createEmptyContentForm());
                     setError(null);
                 }}
                 showOkButton={false}
@@ -1651,12 +5546,23 @@ function LecturerDashboard({ currentUser }) {
                             required 
                         />
                     </div>
+                    {!contentForm.id && moduleSections.length > 1 && (
+                        <div className="form-group">
+                            <label>Section:</label>
+                            <select value={contentForm.section_id} onChange={(e) => setContentForm(prev => ({ ...prev, section_id: e.target.value }))}>
+                                {moduleSections.map(section => (
+                                    <option key={section.id} value={section.id}>{section.title}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
                     <div className="form-group">
                         <label>Type:</label>
                         <select 
                             name="content_type" 
                             value={contentForm.content_type} 
                             onChange={handleContentFormChange}
+                            disabled={Boolean(contentForm.id)} // An item keeps its type; learners' progress and submissions depend on it
                             required
                         >
                             {materialTypes.map(type => (
@@ -1676,168 +5582,644 @@ function LecturerDashboard({ currentUser }) {
                                 />
                             </div>
                             <div className="form-group">
-                                <label>File (Optional):</label>
-                                <input 
-                                    type="file" 
-                                    name="file" 
-                                    onChange={handleContentFormChange} 
+                                <label>{contentForm.current_file_path ? 'Replace File (Optional):' : 'File (Optional):'}</label>
+                                {contentForm.current_file_path && (
+                                    <p className="text-sm text-gray-500">
+                                        Current file: <a href={`${API_BASE_URL}${contentForm.current_file_path}`} target="_blank" rel="noopener noreferrer">{contentForm.current_file_path.split('/').pop()}</a>
+                                    </p>
+                                )}
+                                <input 
+                                    type="file" 
+                                    name="file" 
+                                    onChange={handleContentFormChange} 
+                                />
+                                <p className="text-sm text-gray-500">Either text content or a file is required for Notes, Videos, Assignments.</p>
+                            </div>
+                            {contentForm.current_file_path && !contentForm.file && (
+                                <div className="form-group checkbox-group">
+                                    <input
+                                        type="checkbox"
+                                        id="removeContentFile"
+                                        name="remove_file"
+                                        checked={contentForm.remove_file}
+                                        onChange={handleContentFormChange}
+                                    />
+                                    <label htmlFor="removeContentFile">Remove the current file</label>
+                                </div>
+                            )}
+                        </>
+                    )}
+                    {contentForm.content_type === 'Assignments' && (
+                        <>
+                            <div className="form-group">
+                                <label>Due Date (Optional):</label>
+                                <input
+                                    type="datetime-local"
+                                    name="due_date"
+                                    value={contentForm.due_date}
+                                    onChange={handleContentFormChange}
+                                />
+                            </div>
+                            <div className="form-group checkbox-group">
+                                <input
+                                    type="checkbox"
+                                    id="allowLateSubmissions"
+                                    name="allow_late_submissions"
+                                    checked={contentForm.allow_late_submissions}
+                                    onChange={handleContentFormChange}
+                                />
+                                <label htmlFor="allowLateSubmissions">Accept late submissions (marked as late)</label>
+                            </div>
+                            <div className="form-group">
+                                <label>Maximum Score:</label>
+                                <input
+                                    type="number"
+                                    name="max_score"
+                                    value={contentForm.max_score}
+                                    onChange={handleContentFormChange}
+                                    min="1"
+                                    step="0.5"
+                                />
+                            </div>
+                        </>
+                    )}
+                    {error && <p className="error">{error}</p>}
+                    <div className="form-actions">
+                        <button type="button" className="cancel-btn" onClick={() => {
+                            setShowContentForm(false);
+                            setContentForm(createEmptyContentForm());
+                            setError(null);
+                        }}>
+                            Cancel
+                        </button>
+                        <button type="submit" disabled={loading}>
+                            {loading ? <Loader2 className="animate-spin" /> : (contentForm.id ? 'Save Changes' : 'Add Content')}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+
+            {/* Quiz Form Modal */}
+            <Modal
+                title={quizForm.id ? 'Edit Quiz' : 'Add Quiz'}
+                isOpen={showQuizForm}
+                onClose={() => {
+                    setShowQuizForm(false);
+                    setQuizForm(createEmptyQuizForm());
+                    setQuizImportPreview(null);
+                    setError(null);
+                }}
+                showOkButton={false}
+            >
+                <form onSubmit={handleSubmitQuiz}>
+                    <div className="form-group">
+                        <label>Quiz Title:</label>
+                        <input
+                            type="text"
+                            name="title"
+                            value={quizForm.title}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, title: e.target.value }))}
+                            required
+                        />
+                    </div>
+                    {!quizForm.id && moduleSections.length > 1 && (
+                        <div className="form-group">
+                            <label>Section:</label>
+                            <select value={quizForm.section_id} onChange={(e) => setQuizForm(prev => ({ ...prev, section_id: e.target.value }))}>
+                                {moduleSections.map(section => (
+                                    <option key={section.id} value={section.id}>{section.title}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label>Pass Mark (%, leave empty for none):</label>
+                        <input
+                            type="number"
+                            name="pass_mark"
+                            value={quizForm.pass_mark}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, pass_mark: e.target.value }))}
+                            min="0"
+                            max="100"
+                            step="1"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Maximum Attempts (leave empty for unlimited):</label>
+                        <input
+                            type="number"
+                            name="max_attempts"
+                            value={quizForm.max_attempts}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, max_attempts: e.target.value }))}
+                            min="1"
+                            step="1"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Wait Between Attempts (minutes):</label>
+                        <input
+                            type="number"
+                            name="attempt_cooldown_minutes"
+                            value={quizForm.attempt_cooldown_minutes}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, attempt_cooldown_minutes: e.target.value }))}
+                            min="0"
+                            step="1"
+                            placeholder="0"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Time Limit (minutes, leave empty for untimed):</label>
+                        <input
+                            type="number"
+                            name="time_limit_minutes"
+                            value={quizForm.time_limit_minutes}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, time_limit_minutes: e.target.value }))}
+                            min="1"
+                            step="1"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Attempt That Counts:</label>
+                        <select
+                            name="attempt_scoring"
+                            value={quizForm.attempt_scoring}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, attempt_scoring: e.target.value }))}
+                        >
+                            {quizScoringOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Reveal Correct Answers to Learners:</label>
+                        <select
+                            name="reveal_answers"
+                            value={quizForm.reveal_answers}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, reveal_answers: e.target.value }))}
+                        >
+                            {revealAnswerOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {quizForm.reveal_answers === 'after_date' && (
+                        <div className="form-group">
+                            <label>Reveal On:</label>
+                            <input
+                                type="datetime-local"
+                                name="reveal_answers_at"
+                                value={quizForm.reveal_answers_at}
+                                onChange={(e) => setQuizForm(prev => ({ ...prev, reveal_answers_at: e.target.value }))}
+                                required
+                            />
+                        </div>
+                    )}
+
+                    <div className="form-group checkbox-group">
+                        <input
+                            type="checkbox"
+                            id="quiz-shuffle-questions"
+                            checked={quizForm.shuffle_questions}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, shuffle_questions: e.target.checked }))}
+                        />
+                        <label htmlFor="quiz-shuffle-questions">Shuffle question order for each attempt</label>
+                    </div>
+                    <div className="form-group checkbox-group">
+                        <input
+                            type="checkbox"
+                            id="quiz-shuffle-options"
+                            checked={quizForm.shuffle_options}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, shuffle_options: e.target.checked }))}
+                        />
+                        <label htmlFor="quiz-shuffle-options">Shuffle answer options for each attempt</label>
+                    </div>
+                    <div className="form-group">
+                        <label>Questions:</label>
+                        <select
+                            name="question_source"
+                            value={quizForm.question_source}
+                            onChange={(e) => setQuizForm(prev => ({ ...prev, question_source: e.target.value }))}
+                        >
+                            <option value="written">Write the questions for this quiz</option>
+                            <option value="bank">Draw questions from the question bank for each attempt</option>
+                        </select>
+                    </div>
+
+                    {quizForm.question_source === 'bank' ? (
+                        <>
+                            <h4>Draw Rules:</h4>
+                            <datalist id="question-bank-tags">
+                                {questionBankTags.map(tag => <option key={tag} value={tag} />)}
+                            </datalist>
+                            {quizForm.draw_rules.map((rule, ruleIndex) => (
+                                <div key={ruleIndex} className="quiz-list-entry draw-rule">
+                                    <span>Draw</span>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        step="1"
+                                        value={rule.count}
+                                        onChange={(e) => updateDrawRule(ruleIndex, 'count', e.target.value)}
+                                        required
+                                    />
+                                    <select value={rule.difficulty} onChange={(e) => updateDrawRule(ruleIndex, 'difficulty', e.target.value)}>
+                                        <option value="">any difficulty</option>
+                                        {questionDifficulties.map(option => <option key={option.value} value={option.value}>{option.label.toLowerCase()}</option>)}
+                                    </select>
+                                    <span>question(s) tagged</span>
+                                    <input
+                                        type="text"
+                                        list="question-bank-tags"
+                                        value={rule.tag}
+                                        onChange={(e) => updateDrawRule(ruleIndex, 'tag', e.target.value)}
+                                        placeholder="any tag"
+                                    />
+                                    {quizForm.draw_rules.length > 1 && (
+                                        <button
+                                            type="button"
+                                            className="delete-btn"
+                                            onClick={() => setQuizForm(prev => ({ ...prev, draw_rules: prev.draw_rules.filter((_, i) => i !== ruleIndex) }))}
+                                            title="Remove"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                className="add-question-btn"
+                                onClick={() => setQuizForm(prev => ({ ...prev, draw_rules: [...prev.draw_rules, createEmptyDrawRule()] }))}
+                            >
+                                <PlusCircle className="icon" /> Add Draw Rule
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <div className="form-group">
+                                <label htmlFor="quiz-import-file">Import questions from Moodle GIFT or IMS QTI 2.1:</label>
+                                <input
+                                    type="file"
+                                    id="quiz-import-file"
+                                    accept=".gift,.txt,.xml,.zip"
+                                    onChange={handleImportQuizFile}
+                                    disabled={loading}
                                 />
-                                <p className="text-sm text-gray-500">Either text content or a file is required for Notes, Videos, Assignments.</p>
                             </div>
+                            {quizImportPreview && (
+                                <>
+                                    <QuizImportPreview preview={quizImportPreview} />
+                                    <div className="form-actions">
+                                        <button type="button" className="cancel-btn" onClick={() => setQuizImportPreview(null)}>
+                                            Discard Import
+                                        </button>
+                                        <button type="button" onClick={handleAcceptQuizImport} disabled={quizImportPreview.questions.length === 0}>
+                                            Add {quizImportPreview.questions.length} Question(s)
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                            <h4>Questions:</h4>
+                            {quizForm.questions.map((q, qIndex) => (
+                                <QuizQuestionEditor
+                                    key={qIndex}
+                                    question={q}
+                                    index={qIndex}
+                                    onChange={(question) => updateQuestion(qIndex, question)}
+                                    onRemove={quizForm.questions.length > 1 ? () => removeQuestion(qIndex) : undefined}
+                                />
+                            ))}
+                            <button type="button" className="add-question-btn" onClick={addQuestion}>
+                                <PlusCircle className="icon" /> Add Question
+                            </button>
                         </>
                     )}
+
+                    {quizForm.id && (
+                        <div className="form-group">
+                            <label>Learners' Earlier Attempts:</label>
+                            <select
+                                name="edit_mode"
+                                value={quizForm.edit_mode}
+                                onChange={(e) => setQuizForm(prev => ({ ...prev, edit_mode: e.target.value }))}
+                            >
+                                <option value="new_version">Keep their marks (edited questions apply to new attempts)</option>
+                                <option value="regrade">Regrade them against the edited questions</option>
+                            </select>
+                            <p className="text-sm text-gray-500">
+                                Only applies if you change the questions. Regrading needs the same number of questions, each of the same type, and isn't available for quizzes drawn from the question bank.
+                            </p>
+                        </div>
+                    )}
+
                     {error && <p className="error">{error}</p>}
                     <div className="form-actions">
                         <button type="button" className="cancel-btn" onClick={() => {
-                            setShowContentForm(false);
-                            setContentForm({ title: '', content_type: 'Notes', file: null, content_text: '' });
+                            setShowQuizForm(false);
+                            setQuizForm(createEmptyQuizForm());
+                            setQuizImportPreview(null);
                             setError(null);
                         }}>
                             Cancel
                         </button>
                         <button type="submit" disabled={loading}>
-                            {loading ? <Loader2 className="animate-spin" /> : 'Add Content'}
+                            {loading ? <Loader2 className="animate-spin" /> : (quizForm.id ? 'Save Changes' : 'Add Quiz')}
                         </button>
                     </div>
                 </form>
             </Modal>
 
-            {/* Quiz Form Modal */}
+            {/* Quiz Export Modal */}
             <Modal
-                title="Add Quiz"
-                isOpen={showQuizForm}
+                title={exportQuiz ? `Export Quiz: ${exportQuiz.title}` : 'Export Quiz'}
+                isOpen={exportQuiz !== null}
+                onClose={() => setExportQuiz(null)}
+                showOkButton={false}
+            >
+                {exportQuiz && <QuizExportPanel quiz={exportQuiz} />}
+            </Modal>
+
+            {/* Add/Edit Section Modal */}
+            <Modal
+                title={sectionForm?.id ? 'Edit Section' : 'Add Section'}
+                isOpen={sectionForm !== null}
                 onClose={() => {
-                    setShowQuizForm(false);
-                    setQuizForm({ title: '', questions: [{ question_text: '', options: ['', '', '', ''], correct_answer_index: 0 }]});
+                    setSectionForm(null);
                     setError(null);
                 }}
                 showOkButton={false}
             >
-                <form onSubmit={handleSubmitQuiz}>
+                {sectionForm && (
+                    <form onSubmit={handleSaveSection}>
+                        <div className="form-group">
+                            <label htmlFor="section-title">Title:</label>
+                            <input
+                                type="text"
+                                id="section-title"
+                                value={sectionForm.title}
+                                onChange={(e) => setSectionForm(prev => ({ ...prev, title: e.target.value }))}
+                                placeholder="e.g. Week 1: Introduction"
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="section-description">Description (Optional):</label>
+                            <textarea
+                                id="section-description"
+                                value={sectionForm.description}
+                                onChange={(e) => setSectionForm(prev => ({ ...prev, description: e.target.value }))}
+                                rows="3"
+                            />
+                        </div>
+                        {error && <p className="error">{error}</p>}
+                        <div className="form-actions">
+                            <button type="button" className="cancel-btn" onClick={() => setSectionForm(null)}>Cancel</button>
+                            <button type="submit" disabled={loading}>
+                                {loading ? <Loader2 className="animate-spin" /> : (sectionForm.id ? 'Save Section' : 'Add Section')}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+
+            {/* Quiz Item Analysis Modal */}
+            <Modal
+                title={analysisQuiz ? `Item Analysis: ${analysisQuiz.title}` : 'Item Analysis'}
+                isOpen={analysisQuiz !== null}
+                onClose={() => setAnalysisQuiz(null)}
+                showOkButton={false}
+            >
+                {analysisQuiz && <QuizAnalysisPanel quiz={analysisQuiz} />}
+            </Modal>
+
+            {/* Content Version History Modal */}
+            <Modal
+                title={historyContent ? `Version History: ${historyContent.title}` : 'Version History'}
+                isOpen={historyContent !== null}
+                onClose={() => setHistoryContent(null)}
+                showOkButton={false}
+            >
+                {historyContent && (
+                    <ContentVersionHistory content={historyContent} onRestored={() => fetchModuleContent(selectedModule.id)} />
+                )}
+            </Modal>
+
+            {/* Feedback Form Modal (also used to grade assignment submissions) */}
+            <Modal
+                title={feedbackForm.submissionId ? `Grade Submission for ${feedbackForm.learnerName}` : `${feedbackForm.feedbackId ? 'Edit' : 'Provide'} Feedback for ${feedbackForm.learnerName}`}
+                isOpen={showFeedbackForm}
+                onClose={closeFeedbackForm}
+                showOkButton={false}
+            >
+                <form onSubmit={handleSubmitFeedback}>
+                    {feedbackForm.submissionId && selectedAssignmentRubric && (
+                        <div className="form-group">
+                            <label>Rubric: {selectedAssignmentRubric.title}</label>
+                            {selectedAssignmentRubric.criteria.map((c, cIndex) => (
+                                <div key={cIndex} className="rubric-criterion">
+                                    <strong>{c.criterion}</strong>
+                                    <div className="rubric-levels">
+                                        {c.levels.map((level, levelIndex) => (
+                                            <label key={levelIndex} className="quiz-option">
+                                                <input
+                                                    type="radio"
+                                                    name={`criterion-${cIndex}`}
+                                                    checked={feedbackForm.rubricScores[cIndex] === levelIndex}
+                                                    onChange={() => setFeedbackForm(prev => {
+                                                        const rubricScores = selectedAssignmentRubric.criteria.map((_, i) => (prev.rubricScores[i] !== undefined ? prev.rubricScores[i] : null));
+                                                        rubricScores[cIndex] = levelIndex;
+                                                        return { ...prev, rubricScores };
+                                                    })}
+                                                    required
+                                                />
+                                                {level.label} ({level.points} pts)
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                            <p>
+                                Total: {feedbackForm.rubricScores.reduce((total, levelIndex, i) => (
+                                    levelIndex !== null && levelIndex !== undefined ? total + parseFloat(selectedAssignmentRubric.criteria[i].levels[levelIndex].points) : total
+                                ), 0)} / {selectedAssignmentRubric.max_score}
+                            </p>
+                        </div>
+                    )}
+                    {feedbackForm.submissionId && !selectedAssignmentRubric && (
+                        <div className="form-group">
+                            <label>Score (out of {parseFloat(selectedAssignment?.max_score) || 100}):</label>
+                            <input
+                                type="number"
+                                name="score"
+                                value={feedbackForm.score}
+                                onChange={(e) => setFeedbackForm(prev => ({ ...prev, score: e.target.value }))}
+                                min="0"
+                                max={parseFloat(selectedAssignment?.max_score) || 100}
+                                step="0.5"
+                                required
+                            />
+                        </div>
+                    )}
                     <div className="form-group">
-                        <label>Quiz Title:</label>
-                        <input
-                            type="text"
-                            name="title"
-                            value={quizForm.title}
-                            onChange={(e) => setQuizForm(prev => ({ ...prev, title: e.target.value }))}
-                            required
+                        <label>{feedbackForm.submissionId ? 'Written Feedback:' : 'Message:'}</label>
+                        <textarea
+                            name="message"
+                            value={feedbackForm.message}
+                            onChange={(e) => setFeedbackForm(prev => ({ ...prev, message: e.target.value }))}
+                            rows="4"
+                            required={!feedbackForm.submissionId}
                         />
                     </div>
-                    {/* Passing score removed as it's not stored in backend quiz_data currently */}
-
-                    <h4>Questions:</h4>
-                    {quizForm.questions.map((q, qIndex) => (
-                        <div key={qIndex} className="quiz-question-group">
-                            <div className="form-group">
-                                <label>Question {qIndex + 1}:</label>
-                                <textarea
-                                    name="question_text"
-                                    value={q.question_text}
-                                    onChange={(e) => handleQuizFormChange(e, qIndex)}
-                                    rows="2"
-                                    required
-                                />
-                            </div>
-                            <div className="form-group">
-                                <label>Options:</label>
-                                {q.options.map((option, optIndex) => (
-                                    <input
-                                        key={optIndex}
-                                        type="text"
-                                        name="option"
-                                        value={option}
-                                        onChange={(e) => handleQuizFormChange(e, qIndex, optIndex)}
-                                        placeholder={`Option ${optIndex + 1}`}
-                                        required
+                    {feedbackForm.submissionId ? (
+                        <div className="form-group">
+                            <label>Annotated File to Return (Optional):</label>
+                            <input
+                                type="file"
+                                name="returnedFile"
+                                onChange={(e) => setFeedbackForm(prev => ({ ...prev, returnedFile: e.target.files[0] || null }))}
+                            />
+                        </div>
+                    ) : (
+                        <div className="form-group">
+                            <label>Rating:</label>
+                            <div className="rating-stars">
+                                {[1, 2, 3, 4, 5].map(star => (
+                                    <Star
+                                        key={star}
+                                        className={star <= feedbackForm.rating ? 'filled' : ''}
+                                        onClick={() => setFeedbackForm(prev => ({ ...prev, rating: star }))}
                                     />
                                 ))}
                             </div>
-                            <div className="form-group">
-                                <label>Correct Answer (Option Index):</label>
-                                <select
-                                    name="correct_answer_index"
-                                    value={q.correct_answer_index}
-                                    onChange={(e) => handleQuizFormChange(e, qIndex)}
-                                    required
-                                >
-                                    {q.options.map((_, optIndex) => (
-                                        <option key={optIndex} value={optIndex}>Option {optIndex + 1}</option>
-                                    ))}
-                                </select>
-                            </div>
-                            {quizForm.questions.length > 1 && (
-                                <button type="button" className="delete-question-btn" onClick={() => removeQuestion(qIndex)}>
-                                    <Trash2 className="icon" /> Remove Question
-                                </button>
-                            )}
                         </div>
-                    ))}
-                    <button type="button" className="add-question-btn" onClick={addQuestion}>
-                        <PlusCircle className="icon" /> Add Question
-                    </button>
-
+                    )}
                     {error && <p className="error">{error}</p>}
                     <div className="form-actions">
-                        <button type="button" className="cancel-btn" onClick={() => {
-                            setShowQuizForm(false);
-                            setQuizForm({ title: '', questions: [{ question_text: '', options: ['', '', '', ''], correct_answer_index: 0 }]});
-                            setError(null);
-                        }}>
+                        <button type="button" className="cancel-btn" onClick={closeFeedbackForm}>
                             Cancel
                         </button>
                         <button type="submit" disabled={loading}>
-                            {loading ? <Loader2 className="animate-spin" /> : 'Add Quiz'}
+                            {loading ? <Loader2 className="animate-spin" /> : (feedbackForm.submissionId ? 'Save Grade' : (feedbackForm.feedbackId ? 'Save Feedback' : 'Submit Feedback'))}
                         </button>
                     </div>
                 </form>
             </Modal>
 
-            {/* Feedback Form Modal */}
+            {/* Rubric Management Modal */}
             <Modal
-                title={`Provide Feedback for ${enrolledLearners.find(l => l.id === feedbackForm.learnerId)?.firstname || ''}`}
-                isOpen={showFeedbackForm}
+                title="Manage Rubrics"
+                isOpen={showRubricModal}
                 onClose={() => {
-                    setShowFeedbackForm(false);
-                    setFeedbackForm({ learnerId: '', message: '', rating: 5 });
+                    setShowRubricModal(false);
+                    setRubricForm(createEmptyRubricForm());
                     setError(null);
                 }}
                 showOkButton={false}
             >
-                <form onSubmit={handleSubmitFeedback}>
+                {rubrics.length > 0 && (
+                    <div className="rubric-list">
+                        {rubrics.map(rubric => (
+                            <div key={rubric.id} className="history-item">
+                                <span>{rubric.title} ({rubric.criteria.length} criteria, {rubric.max_score} pts)</span>
+                                <span>
+                                    <button type="button" className="edit-btn" title="Edit Rubric" onClick={() => setRubricForm({ id: rubric.id, title: rubric.title, criteria: rubric.criteria })}>
+                                        <Edit size={16} />
+                                    </button>
+                                    <button type="button" className="delete-btn" title="Delete Rubric" onClick={() => handleDeleteRubric(rubric.id)}>
+                                        <Trash2 size={16} />
+                                    </button>
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <form onSubmit={handleSaveRubric}>
+                    <h4>{rubricForm.id ? 'Edit Rubric' : 'New Rubric'}</h4>
                     <div className="form-group">
-                        <label>Message:</label>
-                        <textarea
-                            name="message"
-                            value={feedbackForm.message}
-                            onChange={(e) => setFeedbackForm(prev => ({ ...prev, message: e.target.value }))}
-                            rows="4"
+                        <label>Rubric Title:</label>
+                        <input
+                            type="text"
+                            value={rubricForm.title}
+                            onChange={(e) => setRubricForm(prev => ({ ...prev, title: e.target.value }))}
                             required
                         />
                     </div>
-                    <div className="form-group">
-                        <label>Rating:</label>
-                        <div className="rating-stars">
-                            {[1, 2, 3, 4, 5].map(star => (
-                                <Star
-                                    key={star}
-                                    className={star <= feedbackForm.rating ? 'filled' : ''}
-                                    onClick={() => setFeedbackForm(prev => ({ ...prev, rating: star }))}
+                    {rubricForm.criteria.map((c, cIndex) => (
+                        <div key={cIndex} className="quiz-question-group">
+                            <div className="form-group">
+                                <label>Criterion {cIndex + 1}:</label>
+                                <input
+                                    type="text"
+                                    value={c.criterion}
+                                    onChange={(e) => updateRubricCriterion(cIndex, prev => ({ ...prev, criterion: e.target.value }))}
+                                    required
                                 />
+                            </div>
+                            <label>Levels:</label>
+                            {c.levels.map((level, levelIndex) => (
+                                <div key={levelIndex} className="rubric-level-row">
+                                    <input
+                                        type="text"
+                                        value={level.label}
+                                        placeholder="Level label"
+                                        onChange={(e) => updateRubricCriterion(cIndex, prev => ({
+                                            ...prev,
+                                            levels: prev.levels.map((l, i) => (i === levelIndex ? { ...l, label: e.target.value } : l)),
+                                        }))}
+                                        required
+                                    />
+                                    <input
+                                        type="number"
+                                        value={level.points}
+                                        min="0"
+                                        step="0.5"
+                                        onChange={(e) => updateRubricCriterion(cIndex, prev => ({
+                                            ...prev,
+                                            levels: prev.levels.map((l, i) => (i === levelIndex ? { ...l, points: e.target.value } : l)),
+                                        }))}
+                                        required
+                                    />
+                                    {c.levels.length > 1 && (
+                                        <button type="button" className="delete-btn" title="Remove Level" onClick={() => updateRubricCriterion(cIndex, prev => ({
+                                            ...prev,
+                                            levels: prev.levels.filter((_, i) => i !== levelIndex),
+                                        }))}>
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
                             ))}
+                            <button type="button" className="add-question-btn" onClick={() => updateRubricCriterion(cIndex, prev => ({
+                                ...prev,
+                                levels: [...prev.levels, { label: '', points: 0 }],
+                            }))}>
+                                <PlusCircle className="icon" /> Add Level
+                            </button>
+                            {rubricForm.criteria.length > 1 && (
+                                <button type="button" className="delete-question-btn" onClick={() => setRubricForm(prev => ({
+                                    ...prev,
+                                    criteria: prev.criteria.filter((_, i) => i !== cIndex),
+                                }))}>
+                                    <Trash2 className="icon" /> Remove Criterion
+                                </button>
+                            )}
                         </div>
-                    </div>
+                    ))}
+                    <button type="button" className="add-question-btn" onClick={() => setRubricForm(prev => ({
+                        ...prev,
+                        criteria: [...prev.criteria, { criterion: '', levels: [{ label: '', points: 0 }] }],
+                    }))}>
+                        <PlusCircle className="icon" /> Add Criterion
+                    </button>
                     {error && <p className="error">{error}</p>}
                     <div className="form-actions">
-                        <button type="button" className="cancel-btn" onClick={() => {
-                            setShowFeedbackForm(false);
-                            setFeedbackForm({ learnerId: '', message: '', rating: 5 });
-                            setError(null);
-                        }}>
-                            Cancel
-                        </button>
+                        {rubricForm.id && (
+                            <button type="button" className="cancel-btn" onClick={() => setRubricForm(createEmptyRubricForm())}>
+                                Cancel Edit
+                            </button>
+                        )}
                         <button type="submit" disabled={loading}>
-                            {loading ? <Loader2 className="animate-spin" /> : 'Submit Feedback'}
+                            {loading ? <Loader2 className="animate-spin" /> : (rubricForm.id ? 'Save Rubric' : 'Create Rubric')}
                         </button>
                     </div>
                 </form>
@@ -1899,6 +6281,7 @@ function LecturerDashboard({ currentUser }) {
                             <label>Price ($):</label>
                             <input type="number" name="price" value={moduleToEdit.price || ''} onChange={handleModuleFormChange} min="0" step="0.01" />
                         </div>
+                        <ModuleCompletionRulesFields module={moduleToEdit} onChange={handleModuleFormChange} idPrefix="lecturer" />
                         <div className="form-group checkbox-group">
                             <input type="checkbox" id="isPublished" name="is_published" checked={moduleToEdit.is_published || false} onChange={handleModuleFormChange} />
                             <label htmlFor="isPublished">Publish Module</label>
@@ -1960,6 +6343,11 @@ function AdminDashboard({ currentUser }) {
     const [showModuleFormModal, setShowModuleFormModal] = useState(false);
     const [confirmDeleteModule, setConfirmDeleteModule] = useState(null);
     const [reportsData, setReportsData] = useState(null); // State for reports data
+    const [forumModule, setForumModule] = useState(null); // Module whose forum is open for moderation
+    const [reportFilters, setReportFilters] = useState({ from: '', to: '', group_by: 'month' }); // Revenue filter form
+    const [reportRange, setReportRange] = useState({ from: '', to: '', group_by: 'month' }); // Filters applied to the loaded reports
+    const [transactions, setTransactions] = useState([]);
+    const [refundForm, setRefundForm] = useState(null); // { transaction, amount, reason } while the refund modal is open
 
     const fetchUsers = useCallback(async () => {
         setLoading(true);
@@ -2001,14 +6389,53 @@ function AdminDashboard({ currentUser }) {
         setLoading(true);
         setError(null);
         try {
-            const data = await callApi('/api/admin/reports');
+            const queryParams = new URLSearchParams({ group_by: reportRange.group_by });
+            if (reportRange.from) queryParams.append('from', reportRange.from);
+            if (reportRange.to) queryParams.append('to', reportRange.to);
+            const transactionParams = new URLSearchParams();
+            if (reportRange.from) transactionParams.append('from', reportRange.from);
+            if (reportRange.to) transactionParams.append('to', reportRange.to);
+
+            const [data, ledger] = await Promise.all([
+                callApi(`/api/admin/reports?${queryParams.toString()}`),
+                callApi(`/api/admin/transactions?${transactionParams.toString()}`),
+            ]);
             setReportsData(data);
+            setTransactions(ledger);
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [reportRange]);
+
+    const handleApplyReportFilters = useCallback((e) => {
+        e.preventDefault();
+        if (reportFilters.from && reportFilters.to && reportFilters.from > reportFilters.to) {
+            setError('The start date must be on or before the end date.');
+            return;
+        }
+        setReportRange({ ...reportFilters });
+    }, [reportFilters]);
+
+    const handleSubmitRefund = useCallback(async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await callApi(`/api/admin/transactions/${refundForm.transaction.id}/refund`, {
+                method: 'POST',
+                body: { amount: refundForm.amount, reason: refundForm.reason },
+            });
+            alert(`Refunded $${result.amount}.`);
+            setRefundForm(null);
+            fetchReports();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [refundForm, fetchReports]);
 
     useEffect(() => {
         // Reset loading state for the specific tab
@@ -2018,6 +6445,8 @@ function AdminDashboard({ currentUser }) {
         } else if (activeTab === 'courseManagement') {
             fetchModules();
             fetchLecturers(); // Fetch lecturers for module assignment
+        } else if (activeTab === 'coupons') {
+            fetchModules(); // Coupons can be scoped to a module
         } else if (activeTab === 'analytics') { // New condition for analytics tab
             fetchReports();
         }
@@ -2105,6 +6534,23 @@ function AdminDashboard({ currentUser }) {
         }
     }, [fetchUsers]);
 
+    // One-off after upgrading: completes enrollments that already meet their module's rules
+    const handleRecheckCompletions = useCallback(async () => {
+        if (!window.confirm('Recheck every unfinished enrollment against its module\'s completion rules and issue any missing certificates?')) {
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await callApi('/api/admin/completions/recheck', { method: 'POST' });
+            alert(`${result.message} ${result.newly_completed} enrollment(s) completed, ${result.certificates_issued} certificate(s) issued.`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
     const handleCreateNewModule = useCallback(() => {
         setModuleToEdit({
             module_name: '',
@@ -2198,6 +6644,9 @@ function AdminDashboard({ currentUser }) {
                 >
                     <BookOpen className="icon" /> Course Management
                 </button>
+                <button className={`tab-btn ${activeTab === 'coupons' ? 'active' : ''}`} onClick={() => setActiveTab('coupons')}>
+                    <DollarSign className="icon" /> Coupons
+                </button>
                 <button className={`tab-btn ${activeTab === 'analytics' ? 'active' : ''}`} onClick={() => setActiveTab('analytics')}>
                     <BarChart className="icon" /> Analytics
                 </button>
@@ -2275,6 +6724,9 @@ function AdminDashboard({ currentUser }) {
                     <button className="add-btn mb-4" onClick={handleCreateNewModule}>
                         <PlusCircle className="icon" /> Create New Module
                     </button>
+                    <button className="action-btn mb-4" onClick={handleRecheckCompletions} disabled={loading}>
+                        <Award className="icon" /> Recheck Completions
+                    </button>
                     {!loading && modules.length === 0 ? (
                         <p>No modules found.</p>
                     ) : (
@@ -2321,6 +6773,13 @@ function AdminDashboard({ currentUser }) {
                                                 >
                                                     <Edit className="icon" />
                                                 </button>
+                                                <button
+                                                    className="action-btn"
+                                                    onClick={() => setForumModule(module)}
+                                                    title="Moderate Forum"
+                                                >
+                                                    <MessageSquare className="icon" />
+                                                </button>
                                                 <button
                                                     className="delete-btn"
                                                     onClick={() => handleDeleteModule(module.id)}
@@ -2338,9 +6797,50 @@ function AdminDashboard({ currentUser }) {
                 </div>
             )}
 
+            {activeTab === 'coupons' && (
+                <div className="section-card">
+                    <h3>Coupon Codes</h3>
+                    <CouponManager modules={modules} allowSiteWide />
+                </div>
+            )}
+
             {activeTab === 'analytics' && (
                 <div className="section-card">
                     <h3>System Reports</h3>
+                    <form className="report-filters" onSubmit={handleApplyReportFilters}>
+                        <div className="form-group">
+                            <label htmlFor="report-from">From:</label>
+                            <input
+                                id="report-from"
+                                type="date"
+                                value={reportFilters.from}
+                                onChange={(e) => setReportFilters(prev => ({ ...prev, from: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="report-to">To:</label>
+                            <input
+                                id="report-to"
+                                type="date"
+                                value={reportFilters.to}
+                                onChange={(e) => setReportFilters(prev => ({ ...prev, to: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="report-group-by">Group revenue by:</label>
+                            <select
+                                id="report-group-by"
+                                value={reportFilters.group_by}
+                                onChange={(e) => setReportFilters(prev => ({ ...prev, group_by: e.target.value }))}
+                            >
+                                <option value="month">Month</option>
+                                <option value="quarter">Quarter</option>
+                            </select>
+                        </div>
+                        <button type="submit" className="action-btn">
+                            <Filter size={16} /> Apply
+                        </button>
+                    </form>
                     {loading ? (
                         <p>Loading reports...</p>
                     ) : error ? (
@@ -2403,31 +6903,110 @@ function AdminDashboard({ currentUser }) {
 
                             {/* Revenue Reports */}
                             <h4 className="mt-6 mb-2">Revenue Reports</h4>
-                            {reportsData.revenue && reportsData.revenue.length > 0 ? (
+                            {reportsData.revenue && reportsData.revenue.totals ? (
+                                <div>
+                                    <p className="revenue-totals">
+                                        <span>Gross: <strong>${formatMoney(reportsData.revenue.totals.gross_revenue)}</strong></span>
+                                        <span>Refunds: <strong>-${formatMoney(reportsData.revenue.totals.refunds)}</strong></span>
+                                        <span>Coupon Discounts: <strong>${formatMoney(reportsData.revenue.totals.discounts)}</strong></span>
+                                        <span>Net: <strong>${formatMoney(reportsData.revenue.totals.net_revenue)}</strong></span>
+                                        <span>Payments: <strong>{reportsData.revenue.totals.payment_count || 0}</strong></span>
+                                    </p>
+                                    {[
+                                        { title: `By ${reportsData.revenue.group_by === 'quarter' ? 'Quarter' : 'Month'}`, label: 'Period', rows: reportsData.revenue.by_period, name: row => row.period },
+                                        { title: 'By Module', label: 'Module', rows: reportsData.revenue.by_module, name: row => row.module_name },
+                                        { title: 'By Instructor', label: 'Instructor', rows: reportsData.revenue.by_instructor, name: row => row.instructor_name },
+                                    ].map(breakdown => (
+                                        <div key={breakdown.title}>
+                                            <h5>{breakdown.title}</h5>
+                                            {breakdown.rows.length === 0 ? <p>No transactions in this range.</p> : (
+                                                <div className="table-container">
+                                                    <table className="data-table">
+                                                        <thead>
+                                                            <tr>
+                                                                <th>{breakdown.label}</th>
+                                                                <th>Gross ($)</th>
+                                                                <th>Refunds ($)</th>
+                                                                <th>Net ($)</th>
+                                                                <th>Discounts ($)</th>
+                                                                <th>Payments</th>
+                                                                <th>Refunds</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {breakdown.rows.map((row, index) => (
+                                                                <tr key={index}>
+                                                                    <td>{breakdown.name(row)}</td>
+                                                                    <td>{formatMoney(row.gross_revenue)}</td>
+                                                                    <td>{formatMoney(row.refunds)}</td>
+                                                                    <td>{formatMoney(row.net_revenue)}</td>
+                                                                    <td>{formatMoney(row.discounts)}</td>
+                                                                    <td>{row.payment_count}</td>
+                                                                    <td>{row.refund_count}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : <p>No revenue data available.</p>}
+
+                            {/* Transactions Ledger */}
+                            <h4 className="mt-6 mb-2">Transactions</h4>
+                            {transactions.length === 0 ? (
+                                <p>No transactions in this range.</p>
+                            ) : (
                                 <div className="table-container">
                                     <table className="data-table">
                                         <thead>
                                             <tr>
-                                                <th>Period</th>
-                                                <th>Revenue ($)</th>
-                                                <th>Transactions</th>
-                                                <th>Details</th>
+                                                <th>Date</th>
+                                                <th>Type</th>
+                                                <th>Status</th>
+                                                <th>Learner</th>
+                                                <th>Module</th>
+                                                <th>Amount</th>
+                                                <th>Provider</th>
+                                                <th>Refunded</th>
+                                                <th>Actions</th>
                                             </tr>
                                         </thead>
                                         <tbody>
-                                            {reportsData.revenue.map((report, index) => (
-                                                <tr key={index}> {/* Using index as key for mock data, ideally unique ID */}
-                                                    <td>{report.period}</td>
-                                                    {/* Revenue report price display - fixed using parseFloat */}
-                                                    <td>{report.revenue != null ? parseFloat(report.revenue).toFixed(2) : 'N/A'}</td>
-                                                    <td>{report.transactions}</td>
-                                                    <td>{report.details}</td>
+                                            {transactions.map(transaction => (
+                                                <tr key={transaction.id}>
+                                                    <td>{new Date(transaction.created_at).toLocaleString()}</td>
+                                                    <td>{transaction.type}</td>
+                                                    <td>{transaction.status}</td>
+                                                    <td>{transaction.user_email || '-'}</td>
+                                                    <td>{transaction.module_name || '-'}</td>
+                                                    <td>{transaction.type === 'refund' ? '-' : ''}{formatMoney(transaction.amount)} {transaction.currency}</td>
+                                                    <td>{transaction.provider || '-'}</td>
+                                                    <td>{transaction.type === 'payment' ? formatMoney(transaction.refunded_amount) : ''}</td>
+                                                    <td>
+                                                        {transaction.type === 'payment' && transaction.status === 'completed' &&
+                                                            parseFloat(transaction.refunded_amount) < parseFloat(transaction.amount) && (
+                                                            <button
+                                                                className="action-btn"
+                                                                onClick={() => setRefundForm({
+                                                                    transaction,
+                                                                    amount: formatMoney(parseFloat(transaction.amount) - parseFloat(transaction.refunded_amount)),
+                                                                    reason: '',
+                                                                })}
+                                                                title="Refund"
+                                                            >
+                                                                <ArrowDown size={16} /> Refund
+                                                            </button>
+                                                        )}
+                                                    </td>
                                                 </tr>
                                             ))}
                                         </tbody>
                                     </table>
                                 </div>
-                            ) : <p>No revenue data available.</p>}
+                            )}
                         </div>
                     ) : <p>No reports data to display.</p>}
                 </div>
@@ -2536,6 +7115,7 @@ function AdminDashboard({ currentUser }) {
                             <label>Price ($):</label>
                             <input type="number" name="price" value={moduleToEdit.price || ''} onChange={handleModuleFormChange} min="0" step="0.01" />
                         </div>
+                        <ModuleCompletionRulesFields module={moduleToEdit} onChange={handleModuleFormChange} idPrefix="admin" />
                         <div className="form-group checkbox-group">
                             <input type="checkbox" id="isPublishedAdmin" name="is_published" checked={moduleToEdit.is_published || false} onChange={handleModuleFormChange} />
                             <label htmlFor="isPublishedAdmin">Publish Module</label>
@@ -2572,6 +7152,63 @@ function AdminDashboard({ currentUser }) {
                 onConfirm={confirmDeleteModuleAction}
                 onCancel={cancelDeleteModuleAction}
             />
+
+            {/* Refund Modal */}
+            <Modal
+                title="Refund Payment"
+                isOpen={refundForm !== null}
+                onClose={() => {
+                    setRefundForm(null);
+                    setError(null);
+                }}
+                showOkButton={false}
+            >
+                {refundForm && (
+                    <form onSubmit={handleSubmitRefund}>
+                        <p>
+                            Payment #{refundForm.transaction.id} of ${formatMoney(refundForm.transaction.amount)} by {refundForm.transaction.user_email || 'a deleted user'}
+                            {refundForm.transaction.module_name && ` for ${refundForm.transaction.module_name}`}.
+                        </p>
+                        <div className="form-group">
+                            <label>Refund Amount ($):</label>
+                            <input
+                                type="number"
+                                value={refundForm.amount}
+                                onChange={(e) => setRefundForm(prev => ({ ...prev, amount: e.target.value }))}
+                                min="0.01"
+                                max={parseFloat(refundForm.transaction.amount) - parseFloat(refundForm.transaction.refunded_amount)}
+                                step="0.01"
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Reason (Optional):</label>
+                            <input
+                                type="text"
+                                value={refundForm.reason}
+                                onChange={(e) => setRefundForm(prev => ({ ...prev, reason: e.target.value }))}
+                            />
+                        </div>
+                        {error && <p className="error">{error}</p>}
+                        <div className="form-actions">
+                            <button type="button" className="cancel-btn" onClick={() => setRefundForm(null)}>Cancel</button>
+                            <button type="submit" disabled={loading}>
+                                {loading ? <Loader2 className="animate-spin" /> : 'Record Refund'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+
+            {/* Forum Moderation Modal */}
+            <Modal
+                title={forumModule ? `Forum: ${forumModule.module_name}` : 'Forum'}
+                isOpen={forumModule !== null}
+                onClose={() => setForumModule(null)}
+                showOkButton={false}
+            >
+                {forumModule && <ModuleForum moduleId={forumModule.id} currentUser={currentUser} />}
+            </Modal>
         </div>
     );
 }
@@ -2580,8 +7217,12 @@ function AdminDashboard({ currentUser }) {
 // Main App Component
 function App() {
     const { currentUser, loadingAuth, logout } = useAuth();
-    // 'roleSelection', 'login', 'register', 'forgotPassword', 'dashboard'
-    const [currentAuthView, setCurrentAuthView] = useState('roleSelection'); 
+    // Token from an emailed reset link (?resetToken=...), if the app was opened through one
+    const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken'));
+    // Code from a certificate's verification link (?verify=...), shown without requiring a login
+    const [verifyCode, setVerifyCode] = useState(() => new URLSearchParams(window.location.search).get('verify'));
+    // 'roleSelection', 'login', 'register', 'forgotPassword', 'resetPassword', 'dashboard'
+    const [currentAuthView, setCurrentAuthView] = useState(() => (resetToken ? 'resetPassword' : 'roleSelection')); 
     const [selectedRole, setSelectedRole] = useState(null); // Role selected for login/registration
     const [registerSuccessMessage, setRegisterSuccessMessage] = useState('');
     const [isRegisterSuccessModalOpen, setIsRegisterSuccessModalOpen] = useState(false);
@@ -2592,11 +7233,24 @@ function App() {
             if (currentUser) {
                 setCurrentAuthView('dashboard');
             } else {
-                setCurrentAuthView('roleSelection');
+                // Stay on the reset screen when the app was opened from a reset link
+                setCurrentAuthView(prev => (prev === 'resetPassword' ? prev : 'roleSelection'));
             }
         }
     }, [currentUser, loadingAuth]);
 
+    // Leaves the reset screen and removes the token from the address bar so it isn't reused
+    const handleLeaveResetPassword = useCallback((nextView) => {
+        window.history.replaceState(null, '', window.location.pathname);
+        setResetToken(null);
+        setCurrentAuthView(nextView);
+    }, []);
+
+    const handleLeaveVerification = useCallback(() => {
+        window.history.replaceState(null, '', window.location.pathname);
+        setVerifyCode(null);
+    }, []);
+
     const handleRoleSelect = useCallback((role) => {
         setSelectedRole(role);
         setCurrentAuthView('login'); // Default to login after role selection
@@ -2622,6 +7276,19 @@ function App() {
         }
     }, [logout]);
 
+    if (verifyCode) {
+        return (
+            <div className="App">
+                <header className="app-header">
+                    <h1>E-Learning Platform</h1>
+                </header>
+                <main>
+                    <CertificateVerification code={verifyCode} onContinue={handleLeaveVerification} />
+                </main>
+            </div>
+        );
+    }
+
     if (loadingAuth) {
         return (
             <div className="loading-screen">
@@ -2668,6 +7335,14 @@ function App() {
                     <ForgotPassword onSwitchToLogin={() => setCurrentAuthView('login')} />
                 )}
 
+                {currentAuthView === 'resetPassword' && resetToken && (
+                    <ResetPasswordForm
+                        token={resetToken}
+                        onSwitchToLogin={() => handleLeaveResetPassword('login')}
+                        onSwitchToForgotPassword={() => handleLeaveResetPassword('forgotPassword')}
+                    />
+                )}
+
                 {/* Dashboard View */}
                 {currentAuthView === 'dashboard' && currentUser && (
                     <div className="dashboard-wrapper">